@@ -0,0 +1,150 @@
+/*!
+ * Benchmark for FilterableList filtering. Builds two identical synthetic lists, one using
+ * the value index and one checking every item, applies the same filter states to both and
+ * reports the median time per operation. Open benchmarks/filterable-list.html in a browser.
+ */
+
+const BENCHMARK_RUNS = 15;
+
+// Search is left out: it is checked item by item on the remaining candidates with or without
+// the index, so its text building would swamp the difference being measured.
+const BENCHMARK_SCENARIOS = [
+    { name: 'One brand', state: { filters: { brand: 'brand3' } } },
+    { name: 'Two brands (OR)', state: { filters: { brand: ['brand1', 'brand4'] } } },
+    { name: 'Brand AND damage', state: { filters: { brand: 'brand2', damage: 'damage4' } } },
+    { name: 'Decade', state: { filters: { year: '1990s' } } },
+    { name: 'Exclusion', state: { exclude: { console: ['console0', 'console1'] } } },
+    { name: 'Filters + range', state: { filters: { damage: ['damage1', 'damage2'] }, ranges: { year: { min: 1995, max: 2010 } } } },
+];
+
+/**
+ * Builds a container with `count` synthetic items and one filter control per facet value.
+ * @param {Element} host The element to build into.
+ * @param {number} count The number of items.
+ * @returns {Element} The container.
+ */
+function buildBenchmarkList(host, count) {
+    const container = document.createElement('div');
+    const controls = document.createElement('div');
+    controls.className = 'filter-controls';
+    const facets = { brand: 8, console: 12, damage: 10 };
+    Object.entries(facets).forEach(([attribute, valueCount]) => {
+        for (let index = 0; index < valueCount; index++) {
+            const control = document.createElement('a');
+            control.href = '#';
+            control.dataset.action = 'filter';
+            control.dataset.filterAttribute = attribute;
+            control.dataset.filterValue = `${attribute}${index}`;
+            control.textContent = `${attribute} ${index}`;
+            controls.appendChild(control);
+        }
+    });
+
+    const list = document.createElement('ul');
+    list.className = 'filterable-list';
+    for (let index = 0; index < count; index++) {
+        const item = document.createElement('li');
+        item.className = 'item';
+        item.dataset.properties = [
+            `brand-brand${index % facets.brand}`,
+            `console-console${(index * 7) % facets.console}`,
+            `damage-damage${index % facets.damage}`,
+            `damage-damage${(index * 3) % facets.damage}`,
+            `year-${1980 + (index % 45)}`,
+        ].join(' ');
+        item.textContent = `Controller ${index}`;
+        list.appendChild(item);
+    }
+
+    container.append(controls, list);
+    host.appendChild(container);
+    return container;
+}
+
+/**
+ * Runs `operation` several times and returns the median duration in milliseconds.
+ * @param {Function} operation The operation to time.
+ * @returns {number}
+ */
+function measureMedian(operation) {
+    const durations = [];
+    for (let run = 0; run < BENCHMARK_RUNS; run++) {
+        const start = performance.now();
+        operation();
+        durations.push(performance.now() - start);
+    }
+    durations.sort((a, b) => a - b);
+    return durations[Math.floor(durations.length / 2)];
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const itemCount = parseInt(new URLSearchParams(window.location.search).get('items'), 10) || 5000;
+    const statusElement = document.querySelector('[data-benchmark-status]');
+    const resultsElement = document.querySelector('[data-benchmark-results]');
+    const listsElement = document.querySelector('[data-benchmark-lists]');
+
+    // FilterableList logs every interaction; silence it so logging does not skew the timings.
+    const originalLog = console.log;
+    console.log = () => {};
+
+    const options = { enableTransitions: false, showFacetCounts: true };
+    const indexed = new FilterableList(buildBenchmarkList(listsElement, itemCount), { ...options, useValueIndex: true });
+    const unindexed = new FilterableList(buildBenchmarkList(listsElement, itemCount), { ...options, useValueIndex: false });
+
+    const rows = BENCHMARK_SCENARIOS.map(({ name, state }) => {
+        const fullState = { filters: {}, exclude: {}, ranges: {}, search: '', ...state };
+        // Only the matching step is timed; setState also re-renders, sorts and updates the controls.
+        const timeFilter = instance => {
+            instance.setState(fullState);
+            return measureMedian(() => instance._getMatchingItems());
+        };
+        const timeFacets = instance => measureMedian(() => instance.getFacetCounts());
+
+        const row = {
+            scenario: name,
+            filterIndexed: timeFilter(indexed),
+            filterUnindexed: timeFilter(unindexed),
+            facetsIndexed: timeFacets(indexed),
+            facetsUnindexed: timeFacets(unindexed),
+        };
+        row.matches = indexed.getVisibleItems().length;
+        if (row.matches !== unindexed.getVisibleItems().length) {
+            console.error(`Benchmark: "${name}" returned different results with and without the index.`);
+        }
+        return row;
+    });
+
+    console.log = originalLog;
+
+    const format = ms => `${ms.toFixed(2)} ms`;
+    const speedup = (slow, fast) => `${(slow / Math.max(fast, 0.001)).toFixed(1)}×`;
+    const header = document.createElement('tr');
+    ['Scenario', 'Matches', 'Matching (index)', 'Matching (no index)', 'Speed-up', 'Facet counts (index)', 'Facet counts (no index)', 'Speed-up']
+        .forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+    resultsElement.appendChild(header);
+    rows.forEach(row => {
+        const tableRow = document.createElement('tr');
+        [
+            row.scenario,
+            row.matches,
+            format(row.filterIndexed),
+            format(row.filterUnindexed),
+            speedup(row.filterUnindexed, row.filterIndexed),
+            format(row.facetsIndexed),
+            format(row.facetsUnindexed),
+            speedup(row.facetsUnindexed, row.facetsIndexed),
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            tableRow.appendChild(cell);
+        });
+        resultsElement.appendChild(tableRow);
+    });
+
+    statusElement.textContent = `${itemCount.toLocaleString()} items, median of ${BENCHMARK_RUNS} runs per operation.`;
+    console.table(rows);
+});
@@ -0,0 +1,253 @@
+  /*!
+  * ControllerCatalog.js - Renders collection pages from controllers.json.
+  * Version: 1.0
+  * Year: 2025
+  * License: MIT License
+  */
+
+// --- Global Configuration ---
+window.ControllerCatalogDefaults = {
+    catalogUrl: 'controllers.json',
+    detailPage: 'controller.html',
+    gridColumns: ['column_one', 'column_two', 'column_three', 'column_four'],
+    videoAllow: 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share',
+    // Damage values from cosmetic to fatal, used by the gallery's "Damage" sort.
+    damageSeverity: ['wear', 'used', 'time', 'cap', 'dog', 'partner', 'anger', 'drift', 'casing', 'port', 'acid', 'broken'],
+    loadErrorMessage: 'The collection could not be loaded. Please try again later.',
+    notFoundMessage: 'This controller is not in the collection.',
+};
+// --- End Global Configuration ---
+
+
+class ControllerCatalog {
+    /**
+     * Wraps a list of controller entries loaded from the catalog.
+     * @param {Array<object>} entries - The controller entries, in gallery order.
+     * @param {object} options - Configuration options for this catalog.
+     */
+    constructor(entries, options = {}) {
+        this.options = { ...window.ControllerCatalogDefaults, ...options };
+        this.entries = Array.isArray(entries) ? entries : [];
+        this.entriesById = new Map(this.entries.map(entry => [entry.id, entry]));
+    }
+
+    /**
+     * Fetches the catalog JSON and resolves with a ControllerCatalog instance.
+     * @param {string} [url] The catalog URL. Defaults to `catalogUrl`.
+     * @param {object} [options] Configuration options passed to the instance.
+     * @returns {Promise<ControllerCatalog>}
+     */
+    static load(url, options = {}) {
+        const catalogUrl = url || options.catalogUrl || window.ControllerCatalogDefaults.catalogUrl;
+        return fetch(catalogUrl)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(entries => new ControllerCatalog(entries, options));
+    }
+
+    /**
+     * Shows a message in an element the catalog could not render into, replacing any earlier message.
+     * @param {Element} element The gallery, detail or grid element.
+     * @param {string} message The message text.
+     */
+    static renderMessage(element, message) {
+        element.querySelectorAll(':scope > .catalog_message').forEach(oldMessage => oldMessage.remove());
+        const messageElement = document.createElement(/^(UL|OL)$/.test(element.tagName) ? 'li' : 'p');
+        messageElement.className = 'catalog_message';
+        messageElement.textContent = message;
+        element.appendChild(messageElement);
+    }
+
+    /**
+     * Looks up a single entry by its id.
+     * @param {string} id The entry id (e.g., 'wii').
+     * @returns {object | null} The entry, or null if not found.
+     */
+    getEntry(id) {
+        return this.entriesById.get(id) || null;
+    }
+
+    /**
+     * Returns the page an entry links to, falling back to the generic detail page.
+     * @param {object} entry The controller entry.
+     * @returns {string} The href for the entry.
+     */
+    getEntryHref(entry) {
+        return entry.page || `${this.options.detailPage}?id=${encodeURIComponent(entry.id)}`;
+    }
+
+    /**
+     * Serializes an entry's filter properties into the `key-value` format read by FilterableList.
+     * Array values repeat the key once per value (e.g. `damage-acid damage-time`), and values
+     * with spaces, hyphens or colons use the quoted form (e.g. `console:"Wii U"`).
+     * @param {object} entry The controller entry.
+     * @returns {string} The data-properties string.
+     */
+    getPropertiesString(entry) {
+        const properties = entry.properties || {};
+        return Object.keys(properties)
+            .flatMap(key => [].concat(properties[key]).map(value => [key, value]))
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([key, value]) => (/[\s\-:"]/.test(String(value))
+                ? `${key}:"${String(value).replace(/["\\]/g, '\\$&')}"`
+                : `${key}-${value}`))
+            .join(' ');
+    }
+
+    /**
+     * Builds the linked thumbnail used by the gallery tiles and the footer grid.
+     * @param {object} entry The controller entry.
+     * @returns {Element} The anchor element.
+     */
+    createThumbnailLink(entry) {
+        const link = document.createElement('a');
+        link.href = this.getEntryHref(entry);
+        const image = document.createElement('img');
+        image.src = entry.thumbnail.src;
+        image.alt = entry.thumbnail.alt;
+        link.appendChild(image);
+        return link;
+    }
+
+    /**
+     * Renders one `.item` tile per entry into a filterable list.
+     * Tiles are inserted ahead of the list's `.no-matches-message`, if present.
+     * @param {Element} listElement The `.filterable-list` element.
+     */
+    renderGallery(listElement) {
+        const noMatchesMessage = listElement.querySelector('.no-matches-message');
+        this.entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'item';
+            item.dataset.properties = this.getPropertiesString(entry);
+            item.appendChild(this.createThumbnailLink(entry));
+            listElement.insertBefore(item, noMatchesMessage);
+        });
+    }
+
+    /**
+     * Renders the footer grid of links to every entry, dealt across the columns in turn
+     * (the first entry in the first column, the second in the second, and so on).
+     * @param {Element} rowElement The `.row` element to render into.
+     */
+    renderGrid(rowElement) {
+        const columnClasses = this.options.gridColumns;
+        const columns = columnClasses.map(className => {
+            const column = document.createElement('div');
+            column.className = className;
+            return column;
+        });
+        this.entries.forEach((entry, index) => {
+            columns[index % columns.length].appendChild(this.createThumbnailLink(entry));
+        });
+        rowElement.replaceChildren(...columns);
+    }
+
+    /**
+     * Renders the detail view for an entry: hero image, heading, bio and video.
+     * @param {Element} detailElement The element to render into.
+     * @param {object} entry The controller entry.
+     */
+    renderDetail(detailElement, entry) {
+        const layout = entry.layout || {};
+        const createBlock = (className, child) => {
+            const block = document.createElement('div');
+            if (className) block.className = className;
+            block.appendChild(child);
+            return block;
+        };
+        const createParagraph = text => {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = text;
+            return paragraph;
+        };
+
+        const image = document.createElement('img');
+        image.src = entry.image.src;
+        image.alt = entry.image.alt;
+
+        const heading = document.createElement('h1');
+        heading.textContent = entry.heading;
+
+        const bio = document.createElement('div');
+        if (layout.bio) bio.className = layout.bio;
+        bio.appendChild(createParagraph(entry.released ? `Console: ${entry.console} (${entry.released})` : `Console: ${entry.console}`));
+        bio.appendChild(createParagraph(`Brand: ${entry.brand}`));
+        bio.appendChild(createParagraph(`Damage: ${entry.damage}`));
+        (entry.story || []).forEach(text => bio.appendChild(createParagraph(text)));
+
+        const blocks = [createBlock(layout.image, image), createBlock(layout.header, heading), bio];
+
+        if (entry.video) {
+            const video = document.createElement('iframe');
+            video.width = 560;
+            video.height = 315;
+            video.src = entry.video;
+            video.title = 'YouTube video player';
+            video.allow = this.options.videoAllow;
+            video.referrerPolicy = 'strict-origin-when-cross-origin';
+            video.allowFullscreen = true;
+            video.setAttribute('frameborder', '0');
+            blocks.push(createBlock(layout.video, video));
+        }
+
+        detailElement.replaceChildren(...blocks);
+        document.title = entry.title;
+    }
+}
+
+// --- Initialize ---
+document.addEventListener('DOMContentLoaded', () => {
+    const galleryLists = document.querySelectorAll('[data-controller-gallery]');
+    const detailElements = document.querySelectorAll('[data-controller-detail]');
+    const gridElements = document.querySelectorAll('[data-controller-grid]');
+    if (!galleryLists.length && !detailElements.length && !gridElements.length) return;
+
+    ControllerCatalog.load().then(catalog => {
+        galleryLists.forEach(listElement => {
+            catalog.renderGallery(listElement);
+            // Tiles only exist once the catalog has loaded, so the container is
+            // initialized here rather than by FilterableList's own DOMContentLoaded pass.
+            const containerElement = listElement.closest('[data-controller-gallery-container]');
+            if (containerElement && typeof FilterableList === 'function') {
+                containerElement.classList.add('filterable-container');
+                FilterableList.registerComparator('damageSeverity', catalog.options.damageSeverity);
+                const countElement = containerElement.querySelector('[data-controller-count]');
+                // shownCount leaves out tiles paged out behind "Load more".
+                const formatCount = ({ shownCount, totalCount }) => `Showing ${shownCount} of ${totalCount} controllers`;
+                const updateCount = detail => {
+                    if (countElement) countElement.textContent = formatCount(detail);
+                };
+                const list = new FilterableList(containerElement, {
+                    afterFilter: updateCount,
+                    afterReset: updateCount,
+                    afterPageChange: updateCount,
+                    announcementFormat: formatCount,
+                });
+                updateCount({ shownCount: list.getShownCount(), totalCount: list.items.length });
+            }
+        });
+
+        detailElements.forEach(detailElement => {
+            // An empty data-controller-detail reads the id from the query string (controller.html?id=wii).
+            const id = detailElement.dataset.controllerDetail || new URLSearchParams(window.location.search).get('id');
+            const entry = catalog.getEntry(id);
+            if (entry) {
+                catalog.renderDetail(detailElement, entry);
+            } else {
+                console.error(`ControllerCatalog: No controller with id "${id}".`);
+                ControllerCatalog.renderMessage(detailElement, catalog.options.notFoundMessage);
+            }
+        });
+
+        gridElements.forEach(gridElement => catalog.renderGrid(gridElement));
+    }, error => {
+        // Only a failed fetch or bad JSON lands here; errors while rendering surface as they are.
+        console.error(`ControllerCatalog: Could not load "${window.ControllerCatalogDefaults.catalogUrl}".`, error);
+        [...galleryLists, ...detailElements, ...gridElements].forEach(element => {
+            ControllerCatalog.renderMessage(element, window.ControllerCatalogDefaults.loadErrorMessage);
+        });
+    });
+});
@@ -12,9 +12,72 @@ window.FilterableListDefaults = {
     itemSelector: ':scope > .item',
     itemDataAttribute: 'properties',
     hiddenClass: 'hidden',
+    leavingClass: 'leaving',
+    pagedOutClass: 'paged-out',
     activeFilterClass: 'active',
     enableTransitions: true,
     transitionDuration: 400,
+    transitionEasing: 'ease-in-out',
+    transitionStagger: 0,
+    respectReducedMotion: true,
+    pageSize: 0,
+    paginationMode: 'pages',
+    itemHeight: 100,
+    virtualColumns: 1,
+    overscan: 4,
+    viewportHeight: null,
+    virtualListClass: 'virtual-list',
+    searchDebounce: 250,
+    highlightSearchMatches: false,
+    searchHighlightClass: 'search-highlight',
+    syncUrl: false,
+    urlMode: 'query',
+    urlSortParam: 'sort',
+    urlSearchParam: 'q',
+    urlPageParam: 'page',
+    urlExcludePrefix: '-',
+    filterLogic: 'or',
+    attributeLogic: 'and',
+    multiValueMatch: 'any',
+    schema: {},
+    useValueIndex: true,
+    comparators: {},
+    sortNullPosition: 'last',
+    sortLocale: null,
+    sortNumeric: false,
+    sortSensitivity: 'accent',
+    sortIgnoreArticles: false,
+    sortDirectionLabels: {
+        string: { asc: '(A–Z)', desc: '(Z–A)' },
+        number: { asc: '↑', desc: '↓' },
+        date: { asc: '↑', desc: '↓' },
+        boolean: { asc: '↑', desc: '↓' },
+        custom: { asc: '↑', desc: '↓' },
+    },
+    observeMutations: false,
+    showFacetCounts: false,
+    disableEmptyFacets: false,
+    facetCountClass: 'facet-count',
+    facetEmptyClass: 'facet-empty',
+    facetCountFormat: count => `(${count})`,
+    filterPanel: {},
+    groupHeaderClass: 'group-header',
+    groupCollapsedClass: 'group-collapsed',
+    groupHeadingLevel: 3,
+    collapsibleGroups: false,
+    groupLabels: {},
+    groupFallbackLabel: 'Other',
+    groupHeaderFormat: ({ label, count }) => `${label} (${count})`,
+    urlGroupParam: 'group',
+    keyboardNavigation: true,
+    announceChanges: true,
+    liveRegionClass: 'filterable-list-status',
+    announcementFormat: ({ shownCount, totalCount }) => `Showing ${shownCount} of ${totalCount} items`,
+    sortAnnouncementFormat: ({ label, direction }) => `Sorted by ${label}, ${direction === 'desc' ? 'descending' : 'ascending'}`,
+    reverseAnnouncement: 'Order reversed',
+    chipClass: 'filter-chip',
+    chipFormat: ({ type, attributeLabel, valueLabel }) => (type === 'exclude' ? `${attributeLabel}: not ${valueLabel}` : `${attributeLabel}: ${valueLabel}`),
+    chipRemoveLabel: label => `Remove ${label}`,
 };
 
 /**
@@ -37,6 +100,98 @@ window.configureFilterableList = function(userOptions) {
                 userOptions.transitionDuration = duration;
             }
         }
+        if (userOptions.hasOwnProperty('transitionStagger')) {
+            const stagger = parseInt(userOptions.transitionStagger, 10);
+            if (isNaN(stagger) || stagger < 0) {
+                console.warn('configureFilterableList: Invalid value for transitionStagger. Expected non-negative number (milliseconds).');
+                delete userOptions.transitionStagger;
+            } else {
+                userOptions.transitionStagger = stagger;
+            }
+        }
+        if (userOptions.hasOwnProperty('pageSize')) {
+            const pageSize = parseInt(userOptions.pageSize, 10);
+            if (isNaN(pageSize) || pageSize < 0) {
+                console.warn('configureFilterableList: Invalid value for pageSize. Expected non-negative number (0 disables pagination).');
+                delete userOptions.pageSize;
+            } else {
+                userOptions.pageSize = pageSize;
+            }
+        }
+        if (userOptions.hasOwnProperty('paginationMode') && !['pages', 'append', 'infinite'].includes(userOptions.paginationMode)) {
+            console.warn("configureFilterableList: Invalid value for paginationMode. Expected 'pages', 'append' or 'infinite'.");
+            delete userOptions.paginationMode;
+        }
+        if (userOptions.hasOwnProperty('itemHeight')) {
+            const itemHeight = parseInt(userOptions.itemHeight, 10);
+            if (isNaN(itemHeight) || itemHeight <= 0) {
+                console.warn('configureFilterableList: Invalid value for itemHeight. Expected positive number (pixels).');
+                delete userOptions.itemHeight;
+            } else {
+                userOptions.itemHeight = itemHeight;
+            }
+        }
+        if (userOptions.hasOwnProperty('respectReducedMotion') && typeof userOptions.respectReducedMotion !== 'boolean') {
+            console.warn('configureFilterableList: Invalid value for respectReducedMotion. Expected boolean.');
+            delete userOptions.respectReducedMotion;
+        }
+        if (userOptions.hasOwnProperty('searchDebounce')) {
+            const delay = parseInt(userOptions.searchDebounce, 10);
+            if (isNaN(delay) || delay < 0) {
+                console.warn('configureFilterableList: Invalid value for searchDebounce. Expected non-negative number (milliseconds).');
+                delete userOptions.searchDebounce;
+            } else {
+                userOptions.searchDebounce = delay;
+            }
+        }
+        if (userOptions.hasOwnProperty('sortNullPosition') && !['first', 'last'].includes(userOptions.sortNullPosition)) {
+            console.warn("configureFilterableList: Invalid value for sortNullPosition. Expected 'first' or 'last'.");
+            delete userOptions.sortNullPosition;
+        }
+        if (userOptions.hasOwnProperty('sortNumeric') && typeof userOptions.sortNumeric !== 'boolean') {
+            console.warn('configureFilterableList: Invalid value for sortNumeric. Expected boolean.');
+            delete userOptions.sortNumeric;
+        }
+        if (userOptions.hasOwnProperty('sortSensitivity') && !['base', 'accent', 'case', 'variant'].includes(userOptions.sortSensitivity)) {
+            console.warn("configureFilterableList: Invalid value for sortSensitivity. Expected 'base', 'accent', 'case' or 'variant'.");
+            delete userOptions.sortSensitivity;
+        }
+        if (userOptions.hasOwnProperty('sortIgnoreArticles') &&
+            typeof userOptions.sortIgnoreArticles !== 'boolean' && !Array.isArray(userOptions.sortIgnoreArticles)) {
+            console.warn('configureFilterableList: Invalid value for sortIgnoreArticles. Expected boolean or an array of words.');
+            delete userOptions.sortIgnoreArticles;
+        }
+        ['keyboardNavigation', 'announceChanges', 'collapsibleGroups'].forEach(optionName => {
+            if (userOptions.hasOwnProperty(optionName) && typeof userOptions[optionName] !== 'boolean') {
+                console.warn(`configureFilterableList: Invalid value for ${optionName}. Expected boolean.`);
+                delete userOptions[optionName];
+            }
+        });
+        ['announcementFormat', 'sortAnnouncementFormat', 'chipFormat', 'chipRemoveLabel', 'groupHeaderFormat'].forEach(optionName => {
+            if (userOptions.hasOwnProperty(optionName) && typeof userOptions[optionName] !== 'function') {
+                console.warn(`configureFilterableList: Invalid value for ${optionName}. Expected a function.`);
+                delete userOptions[optionName];
+            }
+        });
+        if (userOptions.hasOwnProperty('filterPanel')) {
+            const panel = userOptions.filterPanel;
+            if (typeof panel !== 'object' || panel === null || Array.isArray(panel)) {
+                console.warn('configureFilterableList: Invalid value for filterPanel. Expected an object.');
+                delete userOptions.filterPanel;
+            } else if (panel.type && !['checkbox', 'radio', 'select'].includes(panel.type)) {
+                console.warn("configureFilterableList: Invalid value for filterPanel.type. Expected 'checkbox', 'radio' or 'select'.");
+                delete panel.type;
+            }
+        }
+        if (userOptions.hasOwnProperty('sortDirectionLabels') &&
+            (typeof userOptions.sortDirectionLabels !== 'object' || userOptions.sortDirectionLabels === null)) {
+            console.warn('configureFilterableList: Invalid value for sortDirectionLabels. Expected an object mapping types or attributes to { asc, desc } labels.');
+            delete userOptions.sortDirectionLabels;
+        }
+        if (userOptions.hasOwnProperty('schema') && (typeof userOptions.schema !== 'object' || userOptions.schema === null)) {
+            console.warn('configureFilterableList: Invalid value for schema. Expected an object mapping attributes to types.');
+            delete userOptions.schema;
+        }
 
         Object.assign(window.FilterableListDefaults, userOptions);
         console.log('FilterableList defaults updated:', window.FilterableListDefaults);
@@ -48,8 +203,51 @@ window.configureFilterableList = function(userOptions) {
 
 
 class FilterableList {
+    static instances = new WeakMap();
+    static comparators = new Map();
+    static panelCount = 0;
+    static isoDatePattern = /^(\d{4}-\d{2}-\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+    /**
+     * Registers a named comparator shared by every instance. A sort key uses it when its
+     * `comparator` (or a sort control's `data-sort-comparator`) names it, or when its
+     * attribute has the same name.
+     * A comparator is either a function `(valueA, valueB, itemA, itemB) => number`, called
+     * with non-null values, or an array listing values in ascending order
+     * (e.g. `['wear', 'used', 'drift', 'broken']`); unlisted values sort after listed ones.
+     * @param {string} name The comparator name (e.g., 'damageSeverity').
+     * @param {Function | Array<string>} comparator The comparator.
+     */
+    static registerComparator(name, comparator) {
+        if (typeof comparator !== 'function' && !Array.isArray(comparator)) {
+            console.error(`FilterableList: Comparator "${name}" must be a function or an array of values.`);
+            return;
+        }
+        FilterableList.comparators.set(name, comparator);
+    }
+
+    /**
+     * Returns the FilterableList instance that manages a container.
+     * Elements inside a container (e.g. one of its controls) resolve to that container's instance.
+     * @param {string | Element} containerSelectorOrElement - CSS selector or DOM element.
+     * @returns {FilterableList | null} The instance, or null if none is registered.
+     */
+    static getInstance(containerSelectorOrElement) {
+        let element = typeof containerSelectorOrElement === 'string'
+            ? document.querySelector(containerSelectorOrElement)
+            : containerSelectorOrElement;
+        while (element instanceof Element) {
+            if (FilterableList.instances.has(element)) return FilterableList.instances.get(element);
+            element = element.parentElement;
+        }
+        return null;
+    }
+
     /**
      * Initializes a new FilterableList instance.
+     * Lifecycle hooks (`beforeFilter`, `afterFilter`, `afterSort`, `afterReset`, `afterReverse`, `afterPageChange`, `afterGroup`)
+     * may be passed as option callbacks; each is also dispatched on the container as a
+     * `filterablelist:<hookname>` CustomEvent (e.g. `filterablelist:afterfilter`).
      * @param {string | Element} containerSelectorOrElement - CSS selector or DOM element for the container.
      * @param {object} options - Configuration options for this instance.
      */
@@ -71,11 +269,95 @@ class FilterableList {
             itemSelector: ':scope > .item',
             itemDataAttribute: 'properties',
             hiddenClass: 'hidden',
+            leavingClass: 'leaving',
+            pagedOutClass: 'paged-out',
             activeFilterClass: 'active',
             enableTransitions: true,
-            transitionDuration: 400
+            transitionDuration: 400,
+            transitionEasing: 'ease-in-out',
+            transitionStagger: 0,
+            respectReducedMotion: true,
+            pageSize: 0,
+            paginationMode: 'pages',
+            itemHeight: 100,
+            virtualColumns: 1,
+            overscan: 4,
+            viewportHeight: null,
+            virtualListClass: 'virtual-list',
+            searchDebounce: 250,
+            highlightSearchMatches: false,
+            searchHighlightClass: 'search-highlight',
+            syncUrl: false,
+            urlMode: 'query',
+            urlSortParam: 'sort',
+            urlSearchParam: 'q',
+            urlPageParam: 'page',
+            urlExcludePrefix: '-',
+            filterLogic: 'or',
+            attributeLogic: 'and',
+            multiValueMatch: 'any',
+            schema: {},
+            useValueIndex: true,
+            comparators: {},
+            sortNullPosition: 'last',
+            sortLocale: null,
+            sortNumeric: false,
+            sortSensitivity: 'accent',
+            sortIgnoreArticles: false,
+            sortDirectionLabels: {
+                string: { asc: '(A–Z)', desc: '(Z–A)' },
+                number: { asc: '↑', desc: '↓' },
+                date: { asc: '↑', desc: '↓' },
+                boolean: { asc: '↑', desc: '↓' },
+                custom: { asc: '↑', desc: '↓' }
+            },
+            observeMutations: false,
+            showFacetCounts: false,
+            disableEmptyFacets: false,
+            facetCountClass: 'facet-count',
+            facetEmptyClass: 'facet-empty',
+            facetCountFormat: count => `(${count})`,
+            filterPanel: {},
+            groupHeaderClass: 'group-header',
+            groupCollapsedClass: 'group-collapsed',
+            groupHeadingLevel: 3,
+            collapsibleGroups: false,
+            groupLabels: {},
+            groupFallbackLabel: 'Other',
+            groupHeaderFormat: ({ label, count }) => `${label} (${count})`,
+            urlGroupParam: 'group',
+            keyboardNavigation: true,
+            announceChanges: true,
+            liveRegionClass: 'filterable-list-status',
+            announcementFormat: ({ shownCount, totalCount }) => `Showing ${shownCount} of ${totalCount} items`,
+            sortAnnouncementFormat: ({ label, direction }) => `Sorted by ${label}, ${direction === 'desc' ? 'descending' : 'ascending'}`,
+            reverseAnnouncement: 'Order reversed',
+            chipClass: 'filter-chip',
+            chipFormat: ({ type, attributeLabel, valueLabel }) => (type === 'exclude' ? `${attributeLabel}: not ${valueLabel}` : `${attributeLabel}: ${valueLabel}`),
+            chipRemoveLabel: label => `Remove ${label}`
         };
         this.options = { ...internalDefaults, ...window.FilterableListDefaults, ...options };
+        // Direction labels merge per key, so overriding one type keeps the defaults for the others.
+        this.options.sortDirectionLabels = {
+            ...internalDefaults.sortDirectionLabels,
+            ...window.FilterableListDefaults.sortDirectionLabels,
+            ...options.sortDirectionLabels,
+        };
+        // Boolean options can also be switched on per container, e.g. <div data-sync-url>.
+        ['syncUrl', 'showFacetCounts', 'disableEmptyFacets', 'keyboardNavigation', 'announceChanges', 'collapsibleGroups'].forEach(optionName => {
+            if (this.container.dataset[optionName] !== undefined) {
+                this.options[optionName] = this.container.dataset[optionName] !== 'false';
+            }
+        });
+        ['filterLogic', 'attributeLogic', 'multiValueMatch', 'sortNullPosition', 'sortSensitivity', 'sortLocale', 'paginationMode'].forEach(optionName => {
+            if (this.container.dataset[optionName]) this.options[optionName] = this.container.dataset[optionName].toLowerCase();
+        });
+        if (this.container.dataset.pageSize) {
+            this.options.pageSize = parseInt(this.container.dataset.pageSize, 10) || 0;
+        }
+        if (this.container.dataset.sortNumeric !== undefined) {
+            this.options.sortNumeric = this.container.dataset.sortNumeric !== 'false';
+        }
 
         this.listElement = this.container.querySelector(this.options.listSelector);
         this.noMatchesMessageElement = this.listElement.querySelector('.no-matches-message');
@@ -85,40 +367,160 @@ class FilterableList {
             return;
         }
 
-        this.items = Array.from(this.listElement.querySelectorAll(this.options.itemSelector));
+        this.items = this._collectItems();
         this.originalOrder = [...this.items];
-        this.filterControlElements = Array.from(this.container.querySelectorAll('[data-action]'));
 
         this.itemPropertiesMap = new Map();
-        this.items.forEach(item => {
-            const propString = item.dataset[this.options.itemDataAttribute];
-            this.itemPropertiesMap.set(item, this.parsePropertiesString(propString));
-        });
+        // Inverted index for fast filtering: attribute → lowercase value → Set of items.
+        this.valueIndex = new Map();
+        this.items.forEach(item => this._indexItem(item));
+
+        // Generated filter panels are built from the indexed values, labelled from the hand-written
+        // controls, and then collected with them.
+        this.filterControlElements = Array.from(this.container.querySelectorAll('[data-action]'));
+        this.filterPanelSignature = null;
+        this._buildFilterPanels();
+        this.filterControlElements = Array.from(this.container.querySelectorAll('[data-action]'));
 
         if (this.items.length === 0) console.warn(`FilterableList: No items found.`);
         if (this.filterControlElements.length === 0) console.warn(`FilterableList: No filter controls with [data-action] found.`);
 
         this.activeFilters = new Map();
+        this.excludedFilters = new Map();
+        this.activeRanges = new Map();
+        this.searchTerms = [];
+
+        // Per-attribute logic declared on controls, e.g. data-filter-logic="and" or data-multi-value-match="all".
+        this.attributeFilterLogic = new Map();
+        this.attributeMultiValueMatch = new Map();
+        this.filterControlElements.forEach(el => {
+            if (el.dataset.filterAttribute && el.dataset.filterLogic) {
+                this.attributeFilterLogic.set(el.dataset.filterAttribute, el.dataset.filterLogic.toLowerCase());
+            }
+            if (el.dataset.filterAttribute && el.dataset.multiValueMatch) {
+                this.attributeMultiValueMatch.set(el.dataset.filterAttribute, el.dataset.multiValueMatch.toLowerCase());
+            }
+        });
+        this.searchDebounceTimer = null;
+        this.flipAnimation = null;
+        this.isListPositionedForFlip = false;
 
+        // sortKeys holds every sort key in priority order; currentSortAttribute/Direction mirror the first.
+        this.sortKeys = [];
         this.currentSortAttribute = null;
         this.currentSortDirection = 'asc';
 
+        this.isRestoringState = false;
+
+        this.mutationObserver = null;
+
+        // Grouped view: header elements and item → group key, rebuilt whenever the items are reordered.
+        this.groupAttribute = null;
+        this.renderedGroupAttribute = null;
+        this.groupHeaders = new Map();
+        this.itemGroupKeys = new Map();
+        this.collapsedGroups = new Set();
+
+        // Pagination: currentPage is reset to 1 whenever the filter signature changes.
+        this.currentPage = 1;
+        this.filterSignature = this._getFilterSignature();
+        this.pageObserver = null;
+        this.paginationElements = Array.from(this.container.querySelectorAll('[data-pagination]'));
+
+        // Screen reader announcements go to a polite live region, created unless the markup provides one.
+        this.liveRegion = null;
+        this.announceTimer = null;
+        if (this.options.announceChanges) {
+            this.liveRegion = this.container.querySelector('[data-filter-status]');
+            if (!this.liveRegion) {
+                this.liveRegion = document.createElement('div');
+                this.liveRegion.className = this.options.liveRegionClass;
+                this.container.appendChild(this.liveRegion);
+            }
+            this.liveRegion.setAttribute('role', 'status');
+            this.liveRegion.setAttribute('aria-live', 'polite');
+            this.liveRegion.setAttribute('aria-atomic', 'true');
+        }
+
+        // Optional bar of removable chips, one per active filter plus the sort.
+        this.activeFiltersElement = this.container.querySelector('[data-active-filters]');
+
+        FilterableList.instances.set(this.container, this);
         this.bindEvents();
+        if (this.options.keyboardNavigation) this._initKeyboardNavigation();
+        this._updateAriaStates();
+        this.renderActiveFilters();
+        if (this.options.observeMutations) this.startObserving();
+        if (this.options.paginationMode === 'infinite') this._startInfiniteScroll();
+        this._applyPagination();
+        this.updateFacetCounts();
+        if (this.options.syncUrl) {
+            this.restoreStateFromUrl();
+            window.addEventListener('popstate', () => this.restoreStateFromUrl());
+            if (this.options.urlMode === 'hash') {
+                window.addEventListener('hashchange', () => this.restoreStateFromUrl());
+            }
+        }
         console.log(`FilterableList initialized for "${containerSelectorOrElement}" with ${this.items.length} items and ${this.filterControlElements.length} controls.`);
     }
 
     /**
      * Parses the property string from a data attribute into an object.
-     * Attempts to convert numeric values to numbers.
-     * Handles keys or values that might contain hyphens.
+     * Accepts a JSON object (`{"brand": "Nintendo", "damage": ["acid", "time"]}`) or
+     * whitespace-separated tokens in either form:
+     * - `key-value`, split on the last hyphen (so keys may contain hyphens, values may not);
+     * - `key:value`, `key:"quoted value"` or `key:'quoted value'`, split on the first colon,
+     *   for values with spaces or hyphens (e.g. `damage:"Battery Acid"`). Unquoted, this form
+     *   needs a plain word key, so `time-12:30` still reads as `key-value`.
+     * Values are coerced to numbers, booleans and ISO dates where they look like one.
+     * A key given more than once (e.g. `damage-acid damage-dog`) becomes an array of its values.
      * @param {string | undefined} propString The string from the data attribute.
      * @returns {object} An object containing the parsed properties.
      */
     parsePropertiesString(propString) {
         const properties = {};
-        if (!propString) return properties;
+        if (!propString || !propString.trim()) return properties;
+
+        const trimmed = propString.trim();
+        if (trimmed.startsWith('{')) {
+            try {
+                const parsed = JSON.parse(trimmed);
+                Object.entries(parsed).forEach(([key, rawValue]) => {
+                    [].concat(rawValue).forEach(value => {
+                        if (value !== null && value !== '') this._addPropertyValue(properties, key, this.coerceValue(value));
+                    });
+                });
+            } catch (error) {
+                console.warn(`FilterableList: Could not parse JSON properties "${trimmed}".`, error);
+            }
+            return properties;
+        }
+
+        const tokenPattern = /([^\s:"']+):"((?:[^"\\]|\\.)*)"|([^\s:"']+):'((?:[^'\\]|\\.)*)'|(\S+)/g;
+        let match;
+        while ((match = tokenPattern.exec(trimmed)) !== null) {
+            if (match[1] || match[3]) {
+                const key = match[1] || match[3];
+                const rawValue = (match[1] ? match[2] : match[4]).replace(/\\(.)/g, '$1');
+                this._addPropertyValue(properties, key, this.coerceValue(rawValue));
+                continue;
+            }
+
+            const pair = match[5];
+            const colonIndex = pair.indexOf(':');
+            // A hyphen before the first colon marks a legacy `key-value` token whose value holds a
+            // colon (e.g. `time-12:30`), so only plain keys take the colon form.
+            if (colonIndex > 0 && colonIndex < pair.length - 1 && /^\w+:/.test(pair)) {
+                let rawValue = pair.substring(colonIndex + 1);
+                // An unterminated quote (e.g. `name:"Wii`) is read as an unquoted value.
+                if (/^["']/.test(rawValue)) {
+                    console.warn(`FilterableList: Unterminated quote in pair "${pair}".`);
+                    rawValue = rawValue.substring(1);
+                }
+                if (rawValue) this._addPropertyValue(properties, pair.substring(0, colonIndex), this.coerceValue(rawValue));
+                continue;
+            }
 
-        propString.trim().split(/\s+/).forEach(pair => {
             const lastHyphenIndex = pair.lastIndexOf('-');
 
             if (lastHyphenIndex > 0 && lastHyphenIndex < pair.length - 1) {
@@ -126,50 +528,576 @@ class FilterableList {
                 const rawValue = pair.substring(lastHyphenIndex + 1).trim();
 
                 if (key && rawValue) {
-                    const numValue = parseFloat(rawValue);
-                    properties[key] = !isNaN(numValue) && /^-?\d+(\.\d+)?$/.test(rawValue)
-                        ? numValue
-                        : rawValue;
+                    this._addPropertyValue(properties, key, this.coerceValue(rawValue));
                 } else {
                      console.warn(`FilterableList: Skipped pair "${pair}" due to empty key or value after parsing.`);
                 }
             } else {
-                 console.warn(`FilterableList: Could not find valid key-value separator (-) in pair "${pair}" or separator is at start/end.`);
+                 console.warn(`FilterableList: Could not find valid key-value separator (- or :) in pair "${pair}" or separator is at start/end.`);
+            }
+        }
+        return properties;
+    }
+
+    /**
+     * Converts a raw property value to a number, boolean or Date where it looks like one.
+     * Dates must be ISO formatted (`2006-11-19` or `2006-11-19T10:00:00Z`) and name a real
+     * calendar day; impossible dates such as `2006-02-31` stay strings rather than rolling over.
+     * @param {*} rawValue The raw value.
+     * @returns {string | number | boolean | Date} The coerced value.
+     */
+    coerceValue(rawValue) {
+        if (typeof rawValue !== 'string') return rawValue;
+        const value = rawValue.trim();
+        if (/^-?\d+(\.\d+)?$/.test(value)) return parseFloat(value);
+        if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+        const isoMatch = value.match(FilterableList.isoDatePattern);
+        if (isoMatch) {
+            const date = new Date(value);
+            const calendarDay = new Date(`${isoMatch[1]}T00:00:00Z`);
+            if (!isNaN(date.getTime()) && !isNaN(calendarDay.getTime()) &&
+                this.formatValue(calendarDay).slice(0, 10) === isoMatch[1]) {
+                return date;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Formats a property value as the string used for filter matching, facets, search and the URL.
+     * Dates become ISO dates (`2006-11-19`), or full ISO timestamps when they carry a time.
+     * @param {*} value The property value.
+     * @returns {string}
+     */
+    formatValue(value) {
+        if (value instanceof Date) {
+            const iso = value.toISOString();
+            return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+        }
+        return String(value);
+    }
+
+    /**
+     * Stores a parsed value, turning the property into an array when the key repeats.
+     * This is an internal helper method.
+     * @param {object} properties The properties object being built.
+     * @param {string} key The property key.
+     * @param {*} value The parsed value.
+     */
+    _addPropertyValue(properties, key, value) {
+        const isSameValue = existing => this.formatValue(existing) === this.formatValue(value);
+        if (!properties.hasOwnProperty(key)) {
+            properties[key] = value;
+        } else if (Array.isArray(properties[key])) {
+            if (!properties[key].some(isSameValue)) properties[key].push(value);
+        } else if (!isSameValue(properties[key])) {
+            properties[key] = [properties[key], value];
+        }
+    }
+
+    /**
+     * Returns every value an item holds for an attribute, as an array.
+     * Single values are wrapped; missing values give an empty array.
+     * @param {Element} item The DOM element.
+     * @param {string} attribute The attribute key.
+     * @returns {Array<string | number>}
+     */
+    getItemValues(item, attribute) {
+        const value = this.getItemValue(item, attribute);
+        if (value === null) return [];
+        return Array.isArray(value) ? value : [value];
+    }
+
+    /**
+     * Parses an item's data attribute and stores the result in itemPropertiesMap.
+     * This is an internal helper method.
+     * @param {Element} item The DOM element.
+     */
+    _indexItem(item) {
+        const properties = this._readItemProperties(item);
+
+        Object.entries(this.options.schema || {}).forEach(([key, type]) => {
+            if (!properties.hasOwnProperty(key)) return;
+            const typedValues = [].concat(properties[key])
+                .map(value => this.applySchemaType(value, type))
+                .filter(value => value !== null);
+            if (typedValues.length === 0) {
+                delete properties[key];
+            } else {
+                properties[key] = typedValues.length === 1 ? typedValues[0] : typedValues;
+            }
+        });
+
+        this._removeFromValueIndex(item);
+        this.itemPropertiesMap.set(item, properties);
+        this._addToValueIndex(item, properties);
+    }
+
+    /**
+     * Reads an item element's properties from its data attribute and any data-prop-* attributes.
+     * This is an internal helper method.
+     * @param {Element} item The item element.
+     * @returns {object} The parsed properties.
+     */
+    _readItemProperties(item) {
+        const propString = item.dataset[this.options.itemDataAttribute];
+        const properties = this.parsePropertiesString(propString);
+
+        // Individual data-prop-* attributes, e.g. data-prop-damage="Battery Acid".
+        // A JSON array value (data-prop-damage='["acid", "time"]') gives a multi-valued property.
+        Array.from(item.attributes).forEach(({ name, value }) => {
+            if (!name.startsWith('data-prop-') || name.length <= 'data-prop-'.length) return;
+            const key = name.slice('data-prop-'.length);
+            let values = [value];
+            if (value.trim().startsWith('[')) {
+                try {
+                    values = [].concat(JSON.parse(value));
+                } catch (error) {
+                    console.warn(`FilterableList: Could not parse JSON array in ${name}="${value}".`);
+                }
             }
+            values.forEach(rawValue => {
+                if (rawValue !== null && rawValue !== '') this._addPropertyValue(properties, key, this.coerceValue(rawValue));
+            });
         });
+
         return properties;
     }
 
+    /**
+     * Collects the item elements from the list element.
+     * This is an internal helper method.
+     * @returns {Array<Element>}
+     */
+    _collectItems() {
+        return Array.from(this.listElement.querySelectorAll(this.options.itemSelector));
+    }
+
+    /**
+     * Appends the items to the list element in their current order.
+     * This is an internal helper method.
+     */
+    _renderItemOrder() {
+        this._preserveFocus(() => {
+            if (this.renderedGroupAttribute !== this.groupAttribute) {
+                this.groupHeaders.forEach(header => header.remove());
+                this.groupHeaders.clear();
+                this.itemGroupKeys.clear();
+                this.collapsedGroups.clear();
+                this.renderedGroupAttribute = this.groupAttribute;
+            }
+            if (!this.groupAttribute) {
+                this.items.forEach(item => this.listElement.appendChild(item));
+                return;
+            }
+
+            // Groups follow the current order: each starts where its first item would be.
+            const groups = new Map();
+            this.itemGroupKeys.clear();
+            this.items.forEach(item => {
+                const { key, label } = this._getItemGroup(item);
+                if (!groups.has(key)) groups.set(key, { label, items: [] });
+                groups.get(key).items.push(item);
+                this.itemGroupKeys.set(item, key);
+            });
+            this.items = [].concat(...Array.from(groups.values(), group => group.items));
+
+            const headers = new Map();
+            groups.forEach((group, key) => {
+                const header = this.groupHeaders.get(key) || this._createGroupHeader(key);
+                header.dataset.groupLabel = group.label;
+                headers.set(key, header);
+                this.listElement.appendChild(header);
+                group.items.forEach(item => this.listElement.appendChild(item));
+            });
+            this.groupHeaders.forEach((header, key) => {
+                if (!headers.has(key)) header.remove();
+            });
+            this.groupHeaders = headers;
+        });
+    }
+
+    /**
+     * Runs a DOM change that moves items, then returns focus to the element that had it.
+     * Browsers drop focus when a focused element (or its ancestor) is moved, which would
+     * send keyboard users back to the top of the page after every sort.
+     * This is an internal helper method.
+     * @param {Function} domChangeFn The function that changes the DOM.
+     */
+    _preserveFocus(domChangeFn) {
+        const focusedElement = document.activeElement;
+        const hadFocus = focusedElement && focusedElement !== document.body && this.listElement.contains(focusedElement);
+        domChangeFn();
+        if (hadFocus && document.activeElement !== focusedElement && this.listElement.contains(focusedElement)) {
+            focusedElement.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Converts a value to the type declared for its key in the `schema` option
+     * ('string', 'number', 'boolean' or 'date').
+     * @param {*} value The parsed value.
+     * @param {string} type The declared type.
+     * @returns {*} The typed value, or null if it cannot be converted.
+     */
+    applySchemaType(value, type) {
+        switch (type) {
+            case 'date': return this.parseDate(value);
+            case 'number': {
+                const number = value instanceof Date ? value.getUTCFullYear() : parseFloat(value);
+                return isNaN(number) ? null : number;
+            }
+            case 'boolean': return value === true || String(value).toLowerCase() === 'true';
+            case 'string': return this.formatValue(value);
+            default: return value;
+        }
+    }
+
+    /**
+     * Parses a date from a Date, an ISO string or a written date such as
+     * "November 21st, 2004". Written dates are read as calendar days (UTC midnight).
+     * @param {*} value The value to parse.
+     * @returns {Date | null} The date, or null if it cannot be parsed.
+     */
+    parseDate(value) {
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+        if (typeof value === 'number') return new Date(Date.UTC(value, 0, 1));
+        const text = String(value).trim();
+        const coerced = this.coerceValue(text);
+        if (coerced instanceof Date) return coerced;
+        if (FilterableList.isoDatePattern.test(text)) return null;
+
+        const parsed = new Date(text.replace(/(\d+)(st|nd|rd|th)\b/gi, '$1').replace(/_/g, ' '));
+        if (isNaN(parsed.getTime())) return null;
+        return new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()));
+    }
+
     /**
      * Retrieves the pre-parsed value for a given attribute from an item.
      * @param {Element} item The DOM element.
      * @param {string} attribute The attribute key (e.g., 'capacity').
-     * @returns {string | number | null} The value, or null if not found.
+     * @returns {string | number | Array | null} The value (an array for multi-valued keys), or null if not found.
      */
     getItemValue(item, attribute) {
         const properties = this.itemPropertiesMap.get(item);
         return properties && properties.hasOwnProperty(attribute) ? properties[attribute] : null;
     }
 
+    /**
+     * Builds the lowercase text searched by the free-text search mode:
+     * every parsed property value plus the item's own text content.
+     * @param {Element} item The DOM element.
+     * @returns {string} The searchable text.
+     */
+    getItemSearchText(item) {
+        const properties = this.itemPropertiesMap.get(item) || {};
+        const propertyText = Object.values(properties)
+            .map(value => [].concat(value).map(entry => this.formatValue(entry)).join(' '))
+            .join(' ');
+        return `${propertyText} ${item.textContent}`.replace(/\s+/g, ' ').toLowerCase();
+    }
+
     /**
      * Binds event listeners to filter control elements.
      */
     bindEvents() {
-        this.filterControlElements.forEach(element => {
-            const eventType = this.getEventTypeForElement(element);
-            element.addEventListener(eventType, (event) => {
-                if (eventType === 'click' && element.tagName.toLowerCase() === 'a') event.preventDefault();
-                this.handleFilterInteraction(element);
+        this.filterControlElements.forEach(element => this._bindControl(element));
+
+        // Page links inside [data-pagination] are generated, so they are handled by delegation.
+        this.paginationElements.forEach(element => {
+            element.addEventListener('click', (event) => {
+                const link = event.target.closest('[data-page]');
+                if (!link || !element.contains(link)) return;
+                event.preventDefault();
+                this.goToPage(link.dataset.page);
+            });
+        });
+    }
+
+    /**
+     * Binds the interaction listener for a single control element.
+     * This is an internal helper method.
+     * @param {Element} element The control element.
+     */
+    _bindControl(element) {
+        const eventType = this.getEventTypeForElement(element);
+        // Toggle links report their state through aria-pressed, which needs the button role.
+        if (element.tagName.toLowerCase() === 'a' && this._isToggleControl(element) && !element.hasAttribute('role')) {
+            element.setAttribute('role', 'button');
+        }
+        element.addEventListener(eventType, (event) => {
+            if (eventType === 'click' && element.tagName.toLowerCase() === 'a') event.preventDefault();
+            if (element.getAttribute('aria-disabled') === 'true') return;
+            this.handleFilterInteraction(element);
+        });
+    }
+
+    /**
+     * Rebuilds the generated filter panels (see _buildFilterPanels()) if the values found in
+     * the items have changed, then binds the new controls and syncs them with the current state.
+     * Called automatically when items are added, removed or refreshed.
+     */
+    renderFilterPanel() {
+        const previousControls = this.filterControlElements.filter(control => control.closest('[data-filter-panel]'));
+        if (!this._buildFilterPanels()) return;
+
+        const controls = Array.from(this.container.querySelectorAll('[data-filter-panel] [data-action]'));
+        this.filterControlElements = this.filterControlElements
+            .filter(control => !previousControls.includes(control))
+            .concat(controls);
+        controls.forEach(control => this._bindControl(control));
+        this._syncControlsToState();
+        this.updateFacetCounts();
+    }
+
+    /**
+     * Builds filter controls into every `[data-filter-panel]` element in the container from the
+     * values in `itemPropertiesMap`: a checkbox group, radio group or select per attribute, using
+     * the `.custom-checkbox-label`/`.custom-radio-label` styles. Radio groups and selects start
+     * with an "All" option that clears the attribute's filter. Date values are skipped; range
+     * controls suit them better.
+     * The panel element can list attributes and their control types, e.g.
+     * `<div data-filter-panel="brand:checkbox,console:select">`; an empty `data-filter-panel`
+     * falls back to the `filterPanel` option:
+     * - `attributes`: the attributes to show, in order (default: every attribute found);
+     * - `type` / `types`: the control type, overall and per attribute (default 'checkbox');
+     * - `labels`: attribute → group heading; `valueLabels`: attribute → { value → label }. Values
+     *   without one take the text of another filter control for the value, else are capitalized;
+     * - `order`: 'alpha' (default), 'count', 'natural' (item order) or an array of values,
+     *   overall or as attribute → order;
+     * - `allLabel`: the text of the "All" option (default 'All').
+     * This is an internal helper method.
+     * @returns {boolean} Whether the panels were (re)built.
+     */
+    _buildFilterPanels() {
+        const panelElements = Array.from(this.container.querySelectorAll('[data-filter-panel]'));
+        if (panelElements.length === 0) return false;
+
+        const values = this._collectPanelValues();
+        const signature = JSON.stringify(Array.from(values, ([attribute, entries]) => [attribute, Array.from(entries.keys())]));
+        if (signature === this.filterPanelSignature) return false;
+        this.filterPanelSignature = signature;
+
+        const { attributes, type = 'checkbox', types = {} } = this.options.filterPanel;
+        panelElements.forEach(panelElement => {
+            const spec = panelElement.dataset.filterPanel;
+            const groups = (spec ? spec.split(',') : (attributes || Array.from(values.keys())))
+                .map(entry => {
+                    const [attribute, declaredType] = String(entry).trim().split(':');
+                    return { attribute, type: (declaredType || types[attribute] || type).toLowerCase() };
+                })
+                .filter(({ attribute }) => values.has(attribute))
+                .map(group => {
+                    if (!['checkbox', 'radio', 'select'].includes(group.type)) {
+                        console.warn(`FilterableList: Unknown filter panel type "${group.type}" for "${group.attribute}". Using checkboxes.`);
+                        group.type = 'checkbox';
+                    }
+                    return this._createPanelGroup(group.attribute, group.type, this._orderPanelValues(group.attribute, values.get(group.attribute)));
+                });
+            panelElement.replaceChildren(...groups);
+        });
+        return true;
+    }
+
+    /**
+     * Collects the distinct (non-date) values of every attribute, keyed by lowercase value,
+     * with the number of items that have each one.
+     * This is an internal helper method.
+     * @returns {Map<string, Map<string, {value: string, count: number}>>}
+     */
+    _collectPanelValues() {
+        const values = new Map();
+        this.itemPropertiesMap.forEach(properties => {
+            Object.keys(properties).forEach(attribute => {
+                new Set([].concat(properties[attribute])
+                    .filter(value => value !== null && value !== undefined && value !== '' && !(value instanceof Date))
+                    .map(value => this.formatValue(value)))
+                    .forEach(text => {
+                        if (!values.has(attribute)) values.set(attribute, new Map());
+                        const attributeValues = values.get(attribute);
+                        const key = text.toLowerCase();
+                        if (!attributeValues.has(key)) attributeValues.set(key, { value: text, count: 0 });
+                        attributeValues.get(key).count++;
+                    });
+            });
+        });
+        return values;
+    }
+
+    /**
+     * Orders an attribute's panel values by the `filterPanel.order` option.
+     * This is an internal helper method.
+     * @param {string} attribute The attribute.
+     * @param {Map<string, {value: string, count: number}>} entries The values, in item order.
+     * @returns {Array<{value: string, count: number}>}
+     */
+    _orderPanelValues(attribute, entries) {
+        const { order = 'alpha' } = this.options.filterPanel;
+        const attributeOrder = (typeof order === 'object' && !Array.isArray(order)) ? (order[attribute] || 'alpha') : order;
+        const list = Array.from(entries.values());
+        if (attributeOrder === 'natural') return list;
+
+        const collator = this.getCollator();
+        const alphabetical = (a, b) => collator.compare(a.value, b.value);
+        if (Array.isArray(attributeOrder)) {
+            const ranks = new Map(attributeOrder.map((value, index) => [String(value).toLowerCase(), index]));
+            const rankOf = entry => (ranks.has(entry.value.toLowerCase()) ? ranks.get(entry.value.toLowerCase()) : Infinity);
+            return list.sort((a, b) => (rankOf(a) - rankOf(b)) || alphabetical(a, b));
+        }
+        if (attributeOrder === 'count') return list.sort((a, b) => (b.count - a.count) || alphabetical(a, b));
+        return list.sort(alphabetical);
+    }
+
+    /**
+     * Creates the fieldset (or labelled select) of filter controls for one attribute.
+     * This is an internal helper method.
+     * @param {string} attribute The attribute.
+     * @param {string} type 'checkbox', 'radio' or 'select'.
+     * @param {Array<{value: string, count: number}>} entries The values, in display order.
+     * @returns {Element}
+     */
+    _createPanelGroup(attribute, type, entries) {
+        const { labels = {}, valueLabels = {}, allLabel = 'All' } = this.options.filterPanel;
+        const attributeValueLabels = valueLabels[attribute] || {};
+        // A hand-written control for the same value (e.g. "PS4") supplies the label before capitalizing.
+        const labelFor = value => attributeValueLabels[value] || attributeValueLabels[value.toLowerCase()] ||
+            this._getValueLabel('filter', attribute, value);
+
+        const heading = document.createElement(type === 'select' ? 'span' : 'legend');
+        heading.className = 'filter-panel-heading';
+        heading.textContent = labels[attribute] || this._formatPanelLabel(attribute);
+
+        if (type === 'select') {
+            const group = document.createElement('label');
+            group.className = 'filter-panel-group';
+            group.dataset.panelAttribute = attribute;
+            const select = document.createElement('select');
+            select.dataset.action = 'filter';
+            select.dataset.filterAttribute = attribute;
+            select.add(new Option(allLabel, ''));
+            entries.forEach(entry => select.add(new Option(labelFor(entry.value), entry.value)));
+            group.append(heading, ' ', select);
+            return group;
+        }
+
+        const group = document.createElement('fieldset');
+        group.className = 'filter-panel-group';
+        group.dataset.panelAttribute = attribute;
+        group.appendChild(heading);
+
+        if (!this.panelId) this.panelId = ++FilterableList.panelCount;
+        const createOption = (value, text) => {
+            const label = document.createElement('label');
+            label.className = `custom-${type}-label`;
+            const input = document.createElement('input');
+            input.type = type;
+            if (type === 'radio') input.name = `filter-panel-${this.panelId}-${attribute}`;
+            input.dataset.action = 'filter';
+            input.dataset.filterAttribute = attribute;
+            input.dataset.filterValue = value;
+            const box = document.createElement('span');
+            box.className = type === 'radio' ? 'custom-radio-button' : 'custom-checkbox-box';
+            label.append(input, box, text);
+            return label;
+        };
+        if (type === 'radio') {
+            const allOption = createOption('', allLabel);
+            allOption.querySelector('input').checked = true;
+            group.appendChild(allOption);
+        }
+        entries.forEach(entry => group.appendChild(createOption(entry.value, labelFor(entry.value))));
+        return group;
+    }
+
+    /**
+     * Turns an attribute name or value into a default label (e.g. 'wii_u' → 'Wii U').
+     * This is an internal helper method.
+     * @param {string} text The attribute name or value.
+     * @returns {string}
+     */
+    _formatPanelLabel(text) {
+        return String(text).replace(/[_-]+/g, ' ').replace(/(^|\s)(\S)/g, (match, space, letter) => space + letter.toUpperCase());
+    }
+
+    /**
+     * Sets up roving tabindex navigation for link and button controls. Controls are grouped by
+     * the nearest `[data-control-group]` ancestor, or else by their parent element; each group
+     * is a single tab stop, and the arrow keys, Home and End move between its controls.
+     * Space activates a focused link control, as it would a button.
+     * This is an internal helper method.
+     */
+    _initKeyboardNavigation() {
+        const groups = new Map();
+        this.filterControlElements.forEach(control => {
+            if (!['a', 'button'].includes(control.tagName.toLowerCase())) return;
+            const groupElement = control.closest('[data-control-group]') || control.parentElement;
+            if (!groups.has(groupElement)) groups.set(groupElement, []);
+            groups.get(groupElement).push(control);
+        });
+
+        this.controlGroups = Array.from(groups.values()).filter(controls => controls.length > 1);
+        this.controlGroups.forEach(controls => {
+            const setTabStop = tabStop => controls.forEach(control => { control.tabIndex = control === tabStop ? 0 : -1; });
+            setTabStop(controls.find(control => control.classList.contains(this.options.activeFilterClass)) || controls[0]);
+
+            controls.forEach((control, index) => {
+                control.addEventListener('focus', () => setTabStop(control));
+                control.addEventListener('keydown', (event) => {
+                    let target = null;
+                    switch (event.key) {
+                        case 'ArrowRight':
+                        case 'ArrowDown':
+                            target = controls[(index + 1) % controls.length];
+                            break;
+                        case 'ArrowLeft':
+                        case 'ArrowUp':
+                            target = controls[(index - 1 + controls.length) % controls.length];
+                            break;
+                        case 'Home':
+                            target = controls[0];
+                            break;
+                        case 'End':
+                            target = controls[controls.length - 1];
+                            break;
+                        case ' ':
+                            if (control.tagName.toLowerCase() === 'a') {
+                                event.preventDefault();
+                                control.click();
+                            }
+                            return;
+                        default:
+                            return;
+                    }
+                    event.preventDefault();
+                    target.focus();
+                });
             });
         });
     }
 
+    /**
+     * Checks whether a control toggles part of the state on and off (a filter, exclusion,
+     * range or sort link/button), as opposed to a one-off action such as reset or reverse.
+     * This is an internal helper method.
+     * @param {Element} control The control element.
+     * @returns {boolean}
+     */
+    _isToggleControl(control) {
+        const tagName = control.tagName.toLowerCase();
+        if (tagName === 'input' || tagName === 'select') return false;
+        const action = control.dataset.action;
+        if (action === 'sort' || action === 'group') return Boolean(control.dataset.filterAttribute);
+        return ['filter', 'exclude', 'range'].includes(action) &&
+            Boolean(control.dataset.filterAttribute) && control.dataset.filterValue != null;
+    }
+
     /**
      * Determines the appropriate event type for a given control element.
      * @param {Element} element The control element.
      * @returns {string} The event type (e.g., 'click', 'change', 'input').
      */
     getEventTypeForElement(element) {
+        if (element.dataset.action === 'range' && element.tagName.toLowerCase() === 'input') return 'input';
         switch(element.tagName.toLowerCase()) {
             case 'input':
                 if (['checkbox', 'radio'].includes(element.type)) return 'change';
@@ -210,9 +1138,11 @@ class FilterableList {
                 break;
             case 'select':
                 value = element.value;
-                if (action === 'sort' && !attribute) {
+                if ((action === 'sort' || action === 'group') && !attribute) {
                     attribute = value;
                 }
+                // A filter select holds one value at a time, like a radio group.
+                if (action === 'filter') isRadio = true;
                 break;
             default:
                 value = element.dataset.filterValue;
@@ -220,19 +1150,67 @@ class FilterableList {
 
         console.log(`Action: ${action}, Attribute: ${attribute}, Value: ${value}, IsRadio: ${isRadio}`);
 
+        if (action === 'range') {
+            this.handleRangeInteraction(element);
+            return;
+        }
+
+        if (action === 'search') {
+            clearTimeout(this.searchDebounceTimer);
+            this.searchDebounceTimer = setTimeout(() => this.searchItems(value), this.options.searchDebounce);
+            return;
+        }
+
         if (action === 'sort') {
-            if (attribute === this.currentSortAttribute) {
-                this.currentSortDirection = this.currentSortDirection === 'asc' ? 'desc' : 'asc';
+            if (attribute && attribute === this.currentSortAttribute) {
+                // Only the primary key flips; `data-sort-then` keys keep their declared direction.
+                const [primaryKey, ...secondaryKeys] = this.sortKeys;
+                this._setSortKeys([{ ...primaryKey, direction: primaryKey.direction === 'asc' ? 'desc' : 'asc' }, ...secondaryKeys]);
             } else {
-                this.currentSortAttribute = attribute;
-                this.currentSortDirection = 'asc';
+                this._setSortKeys(this.getSortKeysForControl(element));
             }
             this.updateActiveState(element);
             this.sortItems();
+            this._syncUrl();
+            return;
+        }
+
+        if (action === 'group') {
+            // Clicking the active group control again removes the grouping.
+            const isSelect = element.tagName.toLowerCase() === 'select';
+            this.groupBy(!isSelect && attribute === this.groupAttribute ? null : attribute);
+            return;
+        }
+
+        if (action === 'exclude') {
+            const excludeValue = element.dataset.filterValue;
+            const shouldExclude = element.tagName.toLowerCase() === 'input'
+                ? element.checked
+                : !this.isExclusionActive(attribute, excludeValue);
+            if (shouldExclude) {
+                this.excludeItems(attribute, excludeValue);
+            } else {
+                this.removeExclusion(attribute, excludeValue);
+            }
+            return;
+        }
+
+        if (action === 'page') {
+            this.goToPage(element.dataset.page);
+            return;
+        }
+
+        if (action === 'load-more') {
+            this.loadMore();
             return;
         }
 
         if (action === 'filter') {
+            // An empty radio or select option ("All") clears the attribute's filter.
+            if (isRadio && value === '') {
+                this.clearFilter(attribute);
+                return;
+            }
             if (!isRadio && attribute && value && this.isFilterActive(attribute, value)) {
                 this.removeFilter(attribute, value);
                 if (element.tagName.toLowerCase() !== 'input') {
@@ -259,26 +1237,191 @@ class FilterableList {
     }
 
     /**
-     * Checks if a specific filter attribute and value are currently active.
-     * @param {string} attribute The filter attribute.
-     * @param {string} value The filter value.
-     * @returns {boolean} True if the filter is active, false otherwise.
+     * Reads a min/max range control and updates the matching range filter.
+     * A slider left at its own min (or max) position leaves that bound open.
+     * @param {Element} element The range control (`data-range-bound="min|max"`).
      */
-    isFilterActive(attribute, value) {
-        return this.activeFilters.has(attribute) &&
-               this.activeFilters.get(attribute).has(value);
+    handleRangeInteraction(element) {
+        const attribute = element.dataset.filterAttribute;
+        const bound = element.dataset.rangeBound === 'max' ? 'max' : 'min';
+        const range = this.activeRanges.get(attribute) || { min: null, max: null };
+
+        if (element.tagName.toLowerCase() !== 'input') {
+            // Links and buttons (e.g. "Before 2010") toggle a fixed bound from data-filter-value.
+            range[bound] = this._isRangeBoundActive(attribute, bound, element.dataset.filterValue)
+                ? null
+                : this.parseRangeBound(element.dataset.filterValue);
+            this.setRangeFilter(attribute, range.min, range.max);
+            return;
+        }
+
+        let value = this.parseRangeBound(element.value);
+        if (element.type === 'range' && element[bound] !== '' && value === parseFloat(element[bound])) {
+            value = null;
+        }
+
+        range[bound] = value;
+        this.setRangeFilter(attribute, range.min, range.max);
     }
 
     /**
-     * Handles clicks on filter links (legacy or specific use case).
-     * @param {Element} clickedLink The clicked link element.
+     * Parses a range bound: ISO dates become Dates, anything else a number.
+     * @param {*} rawValue The raw bound (e.g. '2004', '2010-01-01').
+     * @returns {number | Date | null} The bound, or null for an open/invalid bound.
      */
-    handleFilterClick(clickedLink) {
-        const action = clickedLink.dataset.action;
-        const attribute = clickedLink.dataset.filterAttribute;
-        const value = clickedLink.dataset.filterValue;
-
-        console.log(`Action: ${action}, Attribute: ${attribute}, Value: ${value}`);
+    parseRangeBound(rawValue) {
+        if (rawValue === null || rawValue === undefined || rawValue === '') return null;
+        if (rawValue instanceof Date) return isNaN(rawValue.getTime()) ? null : rawValue;
+        if (typeof rawValue === 'number') return isNaN(rawValue) ? null : rawValue;
+        const coerced = this.coerceValue(String(rawValue));
+        if (coerced instanceof Date) return coerced;
+        if (FilterableList.isoDatePattern.test(String(rawValue).trim())) return null;
+        const number = parseFloat(rawValue);
+        return isNaN(number) ? null : number;
+    }
+
+    /**
+     * Checks whether a range bound is currently set to a given raw value.
+     * This is an internal helper method.
+     * @param {string} attribute The range attribute.
+     * @param {string} bound 'min' or 'max'.
+     * @param {*} rawValue The raw bound to compare against.
+     * @returns {boolean}
+     */
+    _isRangeBoundActive(attribute, bound, rawValue) {
+        const range = this.activeRanges.get(attribute);
+        const value = this.parseRangeBound(rawValue);
+        return !!range && range[bound] !== null && value !== null &&
+               this.formatValue(range[bound]) === this.formatValue(value);
+    }
+
+    /**
+     * Restricts items to those whose numeric or date value for an attribute lies within [min, max].
+     * Combines with the attribute filters and search using AND semantics.
+     * Items without a numeric or date value for the attribute are hidden while the range is active.
+     * A numeric bound on a date attribute is read as a year.
+     * @param {string} attribute The numeric or date attribute (e.g., 'year', 'released').
+     * @param {number | Date | null} min The inclusive lower bound, or null for no lower bound.
+     * @param {number | Date | null} max The inclusive upper bound, or null for no upper bound.
+     */
+    setRangeFilter(attribute, min, max) {
+        if (!attribute) return;
+        if (min == null && max == null) {
+            this.activeRanges.delete(attribute);
+        } else {
+            this.activeRanges.set(attribute, { min: min == null ? null : min, max: max == null ? null : max });
+        }
+
+        this.applyFilters();
+        this.updateControlStates();
+        this._syncUrl(true);
+    }
+
+    /**
+     * Removes the range filter for an attribute.
+     * @param {string} attribute The attribute whose range should be cleared.
+     */
+    removeRangeFilter(attribute) {
+        this.setRangeFilter(attribute, null, null);
+    }
+
+    /**
+     * Checks if any attribute filter, range filter or search is currently active.
+     * @returns {boolean} True if the list is filtered in any way.
+     */
+    hasActiveFilters() {
+        return this.activeFilters.size > 0 || this.excludedFilters.size > 0 ||
+               this.activeRanges.size > 0 || this.searchTerms.length > 0;
+    }
+
+    /**
+     * Checks if a specific filter attribute and value are currently active.
+     * @param {string} attribute The filter attribute.
+     * @param {string} value The filter value.
+     * @returns {boolean} True if the filter is active, false otherwise.
+     */
+    isFilterActive(attribute, value) {
+        const lowerValue = String(value).toLowerCase();
+        return this.activeFilters.has(attribute) &&
+               Array.from(this.activeFilters.get(attribute)).some(activeValue => activeValue.toLowerCase() === lowerValue);
+    }
+
+    /**
+     * Checks if a specific attribute value is currently excluded.
+     * @param {string} attribute The filter attribute.
+     * @param {string} value The excluded value.
+     * @returns {boolean} True if the exclusion is active, false otherwise.
+     */
+    isExclusionActive(attribute, value) {
+        const lowerValue = String(value).toLowerCase();
+        return this.excludedFilters.has(attribute) &&
+               Array.from(this.excludedFilters.get(attribute)).some(excludedValue => excludedValue.toLowerCase() === lowerValue);
+    }
+
+    /**
+     * Maps a filter or exclusion value to the form the controls use, matching case-insensitively,
+     * so `?brand=Nintendo` and the `nintendo` control refer to the same filter. Values with no
+     * control are lowercased, as in the value index.
+     * This is an internal helper method.
+     * @param {string} action 'filter' or 'exclude'.
+     * @param {string} attribute The attribute.
+     * @param {string} value The value to normalize.
+     * @returns {string}
+     */
+    _normalizeFilterValue(action, attribute, value) {
+        const lowerValue = String(value).toLowerCase();
+        for (const control of this.filterControlElements) {
+            if (control.dataset.action !== action || control.dataset.filterAttribute !== attribute) continue;
+            if (control.tagName.toLowerCase() === 'select') {
+                const option = Array.from(control.options).find(candidate => candidate.value.toLowerCase() === lowerValue);
+                if (option) return option.value;
+            } else if (control.dataset.filterValue !== undefined && control.dataset.filterValue.toLowerCase() === lowerValue) {
+                return control.dataset.filterValue;
+            }
+        }
+        return lowerValue;
+    }
+
+    /**
+     * Returns the logic used to combine several selected values of one attribute:
+     * 'or' shows items matching any value, 'and' only items holding every value
+     * (useful for multi-valued properties). Control-level `data-filter-logic` wins
+     * over the `filterLogic` option, which may be a string or an attribute → logic map.
+     * @param {string} attribute The filter attribute.
+     * @returns {string} 'and' or 'or'.
+     */
+    getFilterLogic(attribute) {
+        if (this.attributeFilterLogic.has(attribute)) return this.attributeFilterLogic.get(attribute);
+        const { filterLogic } = this.options;
+        if (filterLogic && typeof filterLogic === 'object') return filterLogic[attribute] === 'and' ? 'and' : 'or';
+        return filterLogic === 'and' ? 'and' : 'or';
+    }
+
+    /**
+     * Returns how multi-valued properties are matched for an attribute: 'any' (an item
+     * matches if any of its values is selected) or 'all' (every one of its values must be
+     * selected). Control-level `data-multi-value-match` wins over the `multiValueMatch`
+     * option, which may be a string or an attribute → mode map.
+     * @param {string} attribute The filter attribute.
+     * @returns {string} 'any' or 'all'.
+     */
+    getMultiValueMatch(attribute) {
+        if (this.attributeMultiValueMatch.has(attribute)) return this.attributeMultiValueMatch.get(attribute);
+        const { multiValueMatch } = this.options;
+        if (multiValueMatch && typeof multiValueMatch === 'object') return multiValueMatch[attribute] === 'all' ? 'all' : 'any';
+        return multiValueMatch === 'all' ? 'all' : 'any';
+    }
+
+    /**
+     * Handles clicks on filter links (legacy or specific use case).
+     * @param {Element} clickedLink The clicked link element.
+     */
+    handleFilterClick(clickedLink) {
+        const action = clickedLink.dataset.action;
+        const attribute = clickedLink.dataset.filterAttribute;
+        const value = clickedLink.dataset.filterValue;
+
+        console.log(`Action: ${action}, Attribute: ${attribute}, Value: ${value}`);
 
         this.filterLinks.forEach(el => el.classList.remove(this.options.activeFilterClass));
         clickedLink.classList.add(this.options.activeFilterClass);
@@ -292,84 +1435,405 @@ class FilterableList {
     }
 
     /**
-     * Returns a comparison function based on the current sort attribute and direction.
+     * Returns a comparison function for the current sort keys. Keys are compared in order,
+     * and items that tie on every key keep their original relative order.
      * @returns {Function} A comparison function for Array.prototype.sort().
      */
     compareItems() {
-        const attribute = this.currentSortAttribute;
-        const directionMultiplier = this.currentSortDirection === 'asc' ? 1 : -1;
-
-        if (!attribute) return () => 0;
+        if (this.sortKeys.length === 0) return () => 0;
+
+        const originalIndex = new Map(this.originalOrder.map((item, index) => [item, index]));
+        const keyComparators = this.sortKeys.map(key => {
+            const directionMultiplier = key.direction === 'desc' ? -1 : 1;
+            const nullMultiplier = (key.nulls || this.options.sortNullPosition) === 'first' ? -1 : 1;
+            const compareValues = this._resolveComparator(key);
+
+            return (a, b) => {
+                // Multi-valued properties sort by their first value.
+                const valueA = this.getItemValues(a, key.attribute)[0] ?? null;
+                const valueB = this.getItemValues(b, key.attribute)[0] ?? null;
+
+                // Missing values stay at the configured end whatever the direction.
+                if (valueA === null && valueB === null) return 0;
+                if (valueA === null) return nullMultiplier;
+                if (valueB === null) return -nullMultiplier;
+
+                return compareValues(valueA, valueB, a, b) * directionMultiplier;
+            };
+        });
 
         return (a, b) => {
-            const valueA = this.getItemValue(a, attribute);
-            const valueB = this.getItemValue(b, attribute);
+            for (const compareKey of keyComparators) {
+                const comparison = compareKey(a, b);
+                if (comparison) return comparison;
+            }
+            return (originalIndex.get(a) ?? Infinity) - (originalIndex.get(b) ?? Infinity);
+        };
+    }
 
-            if (valueA === null && valueB === null) return 0;
-            if (valueA === null) return 1;
-            if (valueB === null) return -1;
+    /**
+     * The default value comparison: numbers and dates numerically, anything else as strings
+     * using the `sortLocale`, `sortNumeric`, `sortSensitivity` and `sortIgnoreArticles` options
+     * (with `sortNumeric`, 'PS4' sorts before 'PS10'; with `sortIgnoreArticles`, 'The Legend' sorts under 'L').
+     * @param {*} valueA A non-null value.
+     * @param {*} valueB A non-null value.
+     * @returns {number} Negative, zero or positive.
+     */
+    compareValues(valueA, valueB) {
+        if (typeof valueA === 'number' && typeof valueB === 'number') {
+            return valueA - valueB;
+        }
+        if (valueA instanceof Date && valueB instanceof Date) {
+            return valueA.getTime() - valueB.getTime();
+        }
+        return this.getCollator().compare(this._getSortText(valueA), this._getSortText(valueB));
+    }
 
-            let comparison = 0;
-            if (typeof valueA === 'number' && typeof valueB === 'number') {
-                comparison = valueA - valueB;
-            } else {
-                comparison = String(valueA).toLowerCase().localeCompare(String(valueB).toLowerCase());
+    /**
+     * Returns the Intl.Collator used for string sorting, rebuilt whenever the sort options change.
+     * An unsupported `sortLocale` falls back to the browser's default locale.
+     * @returns {Intl.Collator}
+     */
+    getCollator() {
+        const { sortLocale, sortNumeric, sortSensitivity } = this.options;
+        const collatorKey = `${sortLocale}|${sortNumeric}|${sortSensitivity}`;
+        if (this.collator && this.collatorKey === collatorKey) return this.collator;
+
+        const collatorOptions = { numeric: !!sortNumeric, sensitivity: sortSensitivity || 'accent' };
+        try {
+            this.collator = new Intl.Collator(sortLocale || undefined, collatorOptions);
+        } catch (error) {
+            console.warn(`FilterableList: Invalid sort locale or sensitivity ("${sortLocale}", "${sortSensitivity}"). Using defaults.`, error);
+            this.collator = new Intl.Collator(undefined, { numeric: !!sortNumeric });
+        }
+        this.collatorKey = collatorKey;
+        return this.collator;
+    }
+
+    /**
+     * Converts a value to the text used for string sorting, dropping a leading article
+     * when `sortIgnoreArticles` is set (`true` ignores "The", "A" and "An").
+     * This is an internal helper method.
+     * @param {*} value A non-null value.
+     * @returns {string}
+     */
+    _getSortText(value) {
+        const text = this.formatValue(value).trim();
+        const { sortIgnoreArticles } = this.options;
+        if (!sortIgnoreArticles) return text;
+
+        const articles = Array.isArray(sortIgnoreArticles) ? sortIgnoreArticles : ['the', 'a', 'an'];
+        const lowerText = text.toLowerCase();
+        const article = articles.find(word => lowerText.startsWith(`${String(word).toLowerCase()} `));
+        return article ? text.slice(article.length).trim() : text;
+    }
+
+    /**
+     * Finds the value comparator for a sort key: the key's named comparator, or one named
+     * after its attribute, looked up in the `comparators` option and then in the comparators
+     * registered with FilterableList.registerComparator(). Falls back to compareValues().
+     * This is an internal helper method.
+     * @param {object} key A sort key `{ attribute, direction, comparator }`.
+     * @returns {Function} `(valueA, valueB, itemA, itemB) => number`.
+     */
+    _resolveComparator(key) {
+        const lookup = name => (this.options.comparators || {})[name] || FilterableList.comparators.get(name);
+        let comparator = typeof key.comparator === 'function' || Array.isArray(key.comparator)
+            ? key.comparator
+            : lookup(key.comparator || key.attribute);
+
+        if (key.comparator && !comparator) {
+            console.warn(`FilterableList: Unknown comparator "${key.comparator}". Using the default comparison.`);
+        }
+        if (Array.isArray(comparator)) {
+            const ranks = new Map(comparator.map((value, index) => [String(value).toLowerCase(), index]));
+            const rankOf = value => ranks.get(this.formatValue(value).toLowerCase()) ?? ranks.size;
+            comparator = (valueA, valueB) => rankOf(valueA) - rankOf(valueB) || this.compareValues(valueA, valueB);
+        }
+        return comparator || ((valueA, valueB) => this.compareValues(valueA, valueB));
+    }
+
+    /**
+     * Normalizes a sort specification into an array of sort keys `{ attribute, direction }`
+     * (plus optional `comparator` and `nulls`). Accepts an attribute name, a
+     * `'brand:asc,year:desc'` string, a key object, or an array of any of these.
+     * @param {string | object | Array} spec The sort specification.
+     * @param {string} [defaultDirection='asc'] The direction for keys that do not give one.
+     * @returns {Array<object>} The sort keys.
+     */
+    parseSortKeys(spec, defaultDirection = 'asc') {
+        if (spec === null || spec === undefined || spec === '') return [];
+        const specs = Array.isArray(spec)
+            ? spec
+            : (typeof spec === 'string' ? spec.split(',') : [spec]);
+
+        return specs.map(entry => {
+            if (typeof entry === 'string') {
+                const [attribute, direction, comparator] = entry.trim().split(':');
+                entry = { attribute, direction, comparator };
             }
-            return comparison * directionMultiplier;
-        };
+            if (!entry || !entry.attribute) return null;
+            const key = { attribute: entry.attribute, direction: entry.direction === 'desc' || (!entry.direction && defaultDirection === 'desc') ? 'desc' : 'asc' };
+            if (entry.comparator) key.comparator = entry.comparator;
+            if (entry.nulls === 'first' || entry.nulls === 'last') key.nulls = entry.nulls;
+            return key;
+        }).filter(Boolean);
     }
 
     /**
-     * Helper to perform FLIP animation.
+     * Reads the sort keys for a sort control: its `data-filter-attribute` (or a select's value),
+     * followed by any keys in `data-sort-then` (e.g. `data-sort-then="year:desc"`).
+     * `data-sort-comparator` and `data-sort-nulls` apply to the first key, and
+     * `data-sort-default-direction="desc"` (on the control, or on a select's chosen option)
+     * makes the first sort descending.
+     * @param {Element} control The sort control.
+     * @returns {Array<object>} The sort keys.
+     */
+    getSortKeysForControl(control) {
+        const isSelect = control.tagName.toLowerCase() === 'select';
+        const attribute = control.dataset.filterAttribute || (isSelect ? control.value : null);
+        const selectedOption = isSelect ? control.options[control.selectedIndex] : null;
+        const defaultDirection = (selectedOption && selectedOption.dataset.sortDefaultDirection) ||
+            control.dataset.sortDefaultDirection || 'asc';
+        const sortKeys = this.parseSortKeys(attribute, defaultDirection.toLowerCase());
+        if (sortKeys.length === 0) return [];
+        if (control.dataset.sortComparator) sortKeys[0].comparator = control.dataset.sortComparator;
+        if (control.dataset.sortNulls) sortKeys[0].nulls = control.dataset.sortNulls;
+        return sortKeys.concat(this.parseSortKeys(control.dataset.sortThen));
+    }
+
+    /**
+     * Returns the value type of an attribute: its `schema` type if declared, otherwise the
+     * type of the first value found in the items ('string', 'number', 'boolean' or 'date').
+     * @param {string} attribute The attribute.
+     * @returns {string}
+     */
+    getAttributeType(attribute) {
+        if (this.options.schema[attribute]) return this.options.schema[attribute];
+        for (const properties of this.itemPropertiesMap.values()) {
+            const value = [].concat(properties[attribute]).find(entry => entry !== null && entry !== undefined);
+            if (value === undefined) continue;
+            if (value instanceof Date) return 'date';
+            return typeof value === 'number' || typeof value === 'boolean' ? typeof value : 'string';
+        }
+        return 'string';
+    }
+
+    /**
+     * Returns the direction indicator shown on a sort control, e.g. '(A–Z)' or '↓'.
+     * Labels come from the control's `data-sort-direction-labels="asc label|desc label"`, else
+     * from the `sortDirectionLabels` option, keyed by attribute, then by 'custom' for sorts
+     * with a comparator, then by the attribute's type (see getAttributeType()).
+     * @param {string} attribute The sort attribute.
+     * @param {string} direction 'asc' or 'desc'.
+     * @param {Element} [control] The sort control.
+     * @returns {string} The label, or an empty string for none.
+     */
+    getSortDirectionLabel(attribute, direction, control = null) {
+        const isDescending = direction === 'desc';
+        if (control && control.dataset.sortDirectionLabels) {
+            const [ascendingLabel = '', descendingLabel = ''] = control.dataset.sortDirectionLabels.split('|');
+            return (isDescending ? descendingLabel : ascendingLabel).trim();
+        }
+
+        const labels = this.options.sortDirectionLabels;
+        const firstKey = this.sortKeys[0];
+        const hasComparator = Boolean(firstKey && firstKey.attribute === attribute && firstKey.comparator) ||
+            Boolean((this.options.comparators || {})[attribute]) || FilterableList.comparators.has(attribute);
+        const entry = labels[attribute] || (hasComparator && labels.custom) || labels[this.getAttributeType(attribute)] || {};
+        return (isDescending ? entry.desc : entry.asc) || '';
+    }
+
+    /**
+     * Returns a sort control's text without its direction indicator, remembering it in `data-sort-text`.
+     * This is an internal helper method.
+     * @param {Element} control The sort control.
+     * @returns {string}
+     */
+    _getSortControlText(control) {
+        if (!control.dataset.sortText) {
+            control.dataset.sortText = Array.from(control.childNodes)
+                .filter(node => !(node.classList && node.classList.contains('sort-direction')))
+                .map(node => node.textContent)
+                .join('')
+                .trim();
+        }
+        return control.dataset.sortText;
+    }
+
+    /**
+     * Replaces the sort keys and keeps currentSortAttribute/currentSortDirection in step with the first.
+     * This is an internal helper method.
+     * @param {Array<object>} sortKeys The new sort keys.
+     */
+    _setSortKeys(sortKeys) {
+        this.sortKeys = sortKeys;
+        this.currentSortAttribute = sortKeys.length > 0 ? sortKeys[0].attribute : null;
+        this.currentSortDirection = sortKeys.length > 0 ? sortKeys[0].direction : 'asc';
+    }
+
+    /**
+     * Checks whether changes should be animated: transitions are enabled, the browser supports
+     * the Web Animations API and, unless `respectReducedMotion` is false, the user has not asked
+     * for reduced motion.
+     * @returns {boolean}
+     */
+    shouldAnimate() {
+        if (!this.options.enableTransitions || typeof Element.prototype.animate !== 'function') return false;
+        if (this.options.respectReducedMotion && typeof window.matchMedia === 'function' &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Helper to perform FLIP animation with the Web Animations API. Items that stay visible move
+     * from their old position to their new one, items the change hides fade and scale out, and
+     * items it reveals fade and scale in. If an earlier animation is still running, it is cancelled
+     * and items animate on from where they currently are on screen.
      * @param {Function} domChangeFn - Function that performs the DOM manipulation (sorting, filtering).
-     * @param {Array<Element>} elementsToAnimate - The specific elements to apply FLIP to.
+     * @param {Array<Element>} [elementsToAnimate] - Ignored; kept for backwards compatibility. Every item on screen is animated.
+     * @param {object} [animationOptions] - Overrides for this animation only.
+     * @param {number} [animationOptions.duration] - Duration in ms. Defaults to `transitionDuration`.
+     * @param {string | object} [animationOptions.easing] - A CSS easing, or `{ move, enter, leave }` easings. Defaults to `transitionEasing`.
+     * @param {number} [animationOptions.stagger] - Delay in ms added per item. Defaults to `transitionStagger`.
      */
-    animateWithFlip(domChangeFn, elementsToAnimate) {
-        if (!this.options.enableTransitions) {
+    animateWithFlip(domChangeFn, elementsToAnimate, animationOptions = {}) {
+        if (!this.shouldAnimate()) {
+            this._finishFlipAnimation();
             domChangeFn();
             return;
         }
 
-        const firstRects = new Map();
-        elementsToAnimate.forEach(item => {
-            firstRects.set(item, item.getBoundingClientRect());
+        const { leavingClass } = this.options;
+        const duration = animationOptions.duration ?? this.options.transitionDuration;
+        const easing = animationOptions.easing ?? this.options.transitionEasing;
+        const stagger = animationOptions.stagger ?? this.options.transitionStagger;
+        const easingFor = kind => (typeof easing === 'object' && easing !== null ? easing[kind] : easing) || 'ease-in-out';
+
+        // Measure every item currently on screen, including ones still fading out, as it looks
+        // right now: running animations are still applied, so interrupted items continue from there.
+        const firstStates = new Map();
+        const listRect = this.listElement.getBoundingClientRect();
+        this.items.forEach(item => {
+            if (!this._isDisplayed(item) && !item.classList.contains(leavingClass)) return;
+            const opacity = parseFloat(window.getComputedStyle(item).opacity);
+            firstStates.set(item, { rect: item.getBoundingClientRect(), opacity: isNaN(opacity) ? 1 : opacity });
         });
 
+        this._finishFlipAnimation();
         domChangeFn();
 
-        elementsToAnimate.forEach(item => {
-            const lastRect = item.getBoundingClientRect();
-            const firstRect = firstRects.get(item);
+        const movingItems = [];
+        const enteringItems = [];
+        const leavingItems = [];
+        const staggerIndex = new Map();
+        this.items.forEach(item => {
+            const isVisible = this._isDisplayed(item);
+            if (isVisible && firstStates.has(item)) movingItems.push(item);
+            else if (isVisible) enteringItems.push(item);
+            else if (firstStates.has(item)) leavingItems.push(item);
+            else return;
+            staggerIndex.set(item, staggerIndex.size);
+        });
 
-            if (firstRect && lastRect) {
-                const deltaX = firstRect.left - lastRect.left;
-                const deltaY = firstRect.top - lastRect.top;
+        // Leaving items keep their hidden class (so state and counts are already final) but stay
+        // on screen, out of flow at their old position, while they fade out.
+        if (leavingItems.length > 0 && window.getComputedStyle(this.listElement).position === 'static') {
+            this.listElement.style.position = 'relative';
+            this.isListPositionedForFlip = true;
+        }
+        leavingItems.forEach(item => {
+            const { rect } = firstStates.get(item);
+            item.classList.add(leavingClass);
+            Object.assign(item.style, {
+                position: 'absolute',
+                top: `${rect.top - listRect.top - this.listElement.clientTop + this.listElement.scrollTop}px`,
+                left: `${rect.left - listRect.left - this.listElement.clientLeft + this.listElement.scrollLeft}px`,
+                width: `${rect.width}px`,
+                height: `${rect.height}px`,
+                margin: '0',
+            });
+        });
 
-                if (Math.abs(deltaX) > 0.5 || Math.abs(deltaY) > 0.5) {
-                    item.style.transform = `translate(${deltaX}px, ${deltaY}px)`;
-                    item.style.transition = 'none';
-                } else {
-                    item.style.transform = '';
-                }
-            } else {
-                 item.style.transform = '';
-            }
+        const animations = [];
+        const animate = (item, keyframes, kind) => {
+            animations.push(item.animate(keyframes, {
+                duration,
+                easing: easingFor(kind),
+                delay: staggerIndex.get(item) * stagger,
+                fill: kind === 'leave' ? 'forwards' : 'backwards',
+            }));
+        };
+
+        movingItems.forEach(item => {
+            const { rect, opacity } = firstStates.get(item);
+            const lastRect = item.getBoundingClientRect();
+            const deltaX = rect.left - lastRect.left;
+            const deltaY = rect.top - lastRect.top;
+            if (Math.abs(deltaX) <= 0.5 && Math.abs(deltaY) <= 0.5 && opacity >= 1) return;
+            animate(item, [
+                { transform: `translate(${deltaX}px, ${deltaY}px)`, opacity },
+                { transform: 'none', opacity: 1 },
+            ], 'move');
+        });
+        enteringItems.forEach(item => {
+            animate(item, [
+                { transform: 'scale(0.8)', opacity: 0 },
+                { transform: 'none', opacity: 1 },
+            ], 'enter');
+        });
+        leavingItems.forEach(item => {
+            animate(item, [
+                { transform: 'none', opacity: firstStates.get(item).opacity },
+                { transform: 'scale(0.8)', opacity: 0 },
+            ], 'leave');
         });
 
-        this.listElement.offsetHeight;
+        const flipAnimation = { animations, leavingItems };
+        this.flipAnimation = flipAnimation;
+        Promise.all(animations.map(animation => animation.finished))
+            .then(() => {
+                if (this.flipAnimation === flipAnimation) this._finishFlipAnimation();
+            })
+            .catch(() => {
+                // A newer change cancelled these animations and has already cleaned up.
+            });
+    }
 
-        elementsToAnimate.forEach(item => {
-            if (item.style.transform !== '') {
-                item.style.transition = `transform ${this.options.transitionDuration}ms ease-in-out`;
-                item.style.transform = '';
+    /**
+     * Checks whether an item is on screen: it matches the filters and is on the current page.
+     * This is an internal helper method.
+     * @param {Element} item The item element.
+     * @returns {boolean}
+     */
+    _isDisplayed(item) {
+        return !item.classList.contains(this.options.hiddenClass) && !item.classList.contains(this.options.pagedOutClass) &&
+            !item.classList.contains(this.options.groupCollapsedClass);
+    }
 
-                const cleanup = () => {
-                    item.style.transition = '';
-                    item.removeEventListener('transitionend', cleanup);
-                };
-                item.addEventListener('transitionend', cleanup, { once: true });
-            }
+    /**
+     * Cancels the running FLIP animation, if any, leaving every item in its final state and
+     * removing the inline styles used to keep leaving items on screen.
+     * This is an internal helper method.
+     */
+    _finishFlipAnimation() {
+        if (!this.flipAnimation) return;
+        const { animations, leavingItems } = this.flipAnimation;
+        this.flipAnimation = null;
+
+        animations.forEach(animation => animation.cancel());
+        leavingItems.forEach(item => {
+            item.classList.remove(this.options.leavingClass);
+            ['position', 'top', 'left', 'width', 'height', 'margin'].forEach(property => {
+                item.style[property] = '';
+            });
         });
+        if (this.isListPositionedForFlip) {
+            this.listElement.style.position = '';
+            this.isListPositionedForFlip = false;
+        }
     }
 
     /**
@@ -381,39 +1845,38 @@ class FilterableList {
             return;
         }
 
-        const visibleItems = this.items.filter(item => !item.classList.contains(this.options.hiddenClass));
+        const visibleItems = this.getVisibleItems();
 
         const sortDomChange = () => {
             this.items.sort(this.compareItems());
-            this.items.forEach(item => this.listElement.appendChild(item));
+            this._renderItemOrder();
             this._applyFilterClasses();
         };
 
         this.animateWithFlip(sortDomChange, visibleItems);
 
-        console.log(`Sorted by ${this.currentSortAttribute} (${this.currentSortDirection})`);
+        console.log(`Sorted by ${this.sortKeys.map(key => `${key.attribute} (${key.direction})`).join(', ')}`);
         this._updateNoMatchesMessage();
+        this._emit('afterSort');
     }
 
     /**
      * Reverses the current order of items in the list, with animation.
      */
     reverseItems() {
-        const currentVisibleItems = Array.from(this.listElement.children)
-                                      .filter(el => el.classList.contains('item') && !el.classList.contains(this.options.hiddenClass));
+        const currentVisibleItems = this.getVisibleItems();
 
         const reverseDomChange = () => {
-            const allCurrentItems = Array.from(this.listElement.children)
-                                        .filter(el => el.classList.contains('item'));
-            allCurrentItems.reverse();
-            allCurrentItems.forEach(item => this.listElement.appendChild(item));
-            this.items = allCurrentItems;
+            this.items = [...this.items].reverse();
+            this._renderItemOrder();
+            this._applyFilterClasses();
         };
 
         this.animateWithFlip(reverseDomChange, currentVisibleItems);
 
         console.log("Reversed item order.");
         this._updateNoMatchesMessage();
+        this._emit('afterReverse');
     }
 
     /**
@@ -432,10 +1895,47 @@ class FilterableList {
         if (!this.activeFilters.has(attribute)) {
             this.activeFilters.set(attribute, new Set());
         }
-        this.activeFilters.get(attribute).add(filterValue);
+        this.activeFilters.get(attribute).add(this._normalizeFilterValue('filter', attribute, filterValue));
+
+        this.applyFilters();
+        this.updateControlStates();
+        this._syncUrl();
+    }
+
+    /**
+     * Hides every item whose value for an attribute matches `filterValue` (NOT logic).
+     * Exclusions always combine with the other filters using AND.
+     * @param {string} attribute The attribute to check.
+     * @param {string} filterValue The value to exclude.
+     */
+    excludeItems(attribute, filterValue) {
+        if (!attribute || filterValue == null) return;
+
+        if (!this.excludedFilters.has(attribute)) {
+            this.excludedFilters.set(attribute, new Set());
+        }
+        this.excludedFilters.get(attribute).add(this._normalizeFilterValue('exclude', attribute, filterValue));
+
+        this.applyFilters();
+        this.updateControlStates();
+        this._syncUrl();
+    }
 
+    /**
+     * Removes a specific exclusion.
+     * @param {string} attribute The attribute of the exclusion to remove.
+     * @param {string} filterValue The excluded value to allow again.
+     */
+    removeExclusion(attribute, filterValue) {
+        if (this.excludedFilters.has(attribute)) {
+            this.excludedFilters.get(attribute).delete(this._normalizeFilterValue('exclude', attribute, filterValue));
+            if (this.excludedFilters.get(attribute).size === 0) {
+                this.excludedFilters.delete(attribute);
+            }
+        }
         this.applyFilters();
         this.updateControlStates();
+        this._syncUrl();
     }
 
     /**
@@ -445,126 +1945,1499 @@ class FilterableList {
      */
     removeFilter(attribute, filterValue) {
         if (this.activeFilters.has(attribute)) {
-            this.activeFilters.get(attribute).delete(filterValue);
+            this.activeFilters.get(attribute).delete(this._normalizeFilterValue('filter', attribute, filterValue));
             if (this.activeFilters.get(attribute).size === 0) {
                 this.activeFilters.delete(attribute);
             }
         }
         this.applyFilters();
         this.updateControlStates();
+        this._syncUrl();
     }
 
     /**
-     * Applies the currently active filters to the items by toggling the hidden class.
-     * This is an internal helper method.
-     * @returns {number} The number of items currently visible after applying filters.
+     * Sets the free-text search query. Every whitespace-separated term must appear
+     * somewhere in an item's properties or text; this combines with the active
+     * attribute filters.
+     * @param {string} query The search query. An empty string clears the search.
      */
-    _applyFilterClasses() {
-        let visibleItemCount = 0;
-        this.items.forEach(item => {
-            let shouldShow = true;
-            if (this.activeFilters.size > 0) {
-                for (const [attribute, values] of this.activeFilters.entries()) {
-                    const itemValue = this.getItemValue(item, attribute);
-                    const matchesAny = Array.from(values).some(filterValue => {
-                        const itemValStr = itemValue != null ? String(itemValue).toLowerCase() : '';
-                        const filterValStr = filterValue != null ? String(filterValue).toLowerCase() : '';
-                        return itemValStr === filterValStr;
-                    });
-                    if (!matchesAny) {
-                        shouldShow = false;
-                        break;
-                    }
-                }
-            }
-            const wasHidden = item.classList.contains(this.options.hiddenClass);
-            if (shouldShow) {
-                item.classList.remove(this.options.hiddenClass);
-                visibleItemCount++;
-            } else {
-                item.classList.add(this.options.hiddenClass);
-            }
-        });
-        return visibleItemCount;
+    searchItems(query) {
+        clearTimeout(this.searchDebounceTimer);
+        this.searchTerms = String(query || '').toLowerCase().trim().split(/\s+/).filter(Boolean);
+
+        this.applyFilters();
+        this.updateControlStates();
+        this._updateSearchHighlights();
+        this._syncUrl(true);
     }
 
     /**
-     * Updates the visibility of the 'no matches' message based on visible item count.
+     * Checks whether an item falls inside every active range filter.
+     * A multi-valued property is in range if any of its numeric values is.
      * This is an internal helper method.
-     * @param {number} [count=-1] Optional explicit count of visible items. If -1, calculates internally.
+     * @param {Element} item The DOM element.
+     * @returns {boolean} True if the item is within all ranges (or no range is active).
      */
-    _updateNoMatchesMessage(count = -1) {
-         if (this.noMatchesMessageElement) {
-             const visibleCount = count === -1
-                 ? this.items.filter(item => !item.classList.contains(this.options.hiddenClass)).length
-                 : count;
-             this.noMatchesMessageElement.style.display = visibleCount === 0 ? 'list-item' : 'none';
-         }
+    _matchesRanges(item) {
+        for (const [attribute, range] of this.activeRanges.entries()) {
+            const inRange = this.getItemValues(item, attribute).some(value => (
+                (typeof value === 'number' || value instanceof Date) &&
+                (range.min === null || this._compareToBound(value, range.min) >= 0) &&
+                (range.max === null || this._compareToBound(value, range.max) <= 0)
+            ));
+            if (!inRange) return false;
+        }
+        return true;
     }
 
     /**
-     * Applies the current filters to the list items, updating visibility.
-     * Note: This version bypasses FLIP for filtering, relying on CSS transitions.
+     * Compares an item value with a range bound. Dates compared with a number
+     * (or the reverse) are compared by calendar year.
+     * This is an internal helper method.
+     * @param {number | Date} value The item value.
+     * @param {number | Date} bound The range bound.
+     * @returns {number} Negative, zero or positive, like a sort comparator.
      */
-    applyFilters() {
-        const visibleCount = this._applyFilterClasses();
-        this._updateNoMatchesMessage(visibleCount);
-
-        console.log(`Applied filters (without FLIP).`);
+    _compareToBound(value, bound) {
+        if (value instanceof Date && bound instanceof Date) return value.getTime() - bound.getTime();
+        if (value instanceof Date) return value.getUTCFullYear() - bound;
+        if (bound instanceof Date) return value - bound.getUTCFullYear();
+        return value - bound;
     }
 
     /**
-     * Resets all filters and sorting, restoring the original item order with animation.
+     * Checks whether an item contains every current search term.
+     * This is an internal helper method.
+     * @param {Element} item The DOM element.
+     * @returns {boolean} True if the item matches the search (or no search is active).
      */
-    resetItems() {
-        const visibleItemsBeforeReset = this.items.filter(item => !item.classList.contains(this.options.hiddenClass));
+    _matchesSearch(item) {
+        if (this.searchTerms.length === 0) return true;
+        const searchText = this.getItemSearchText(item);
+        return this.searchTerms.every(term => searchText.includes(term));
+    }
 
-        const resetDomChange = () => {
-            this.activeFilters.clear();
-            this.currentSortAttribute = null;
-            this.currentSortDirection = 'asc';
+    /**
+     * Wraps occurrences of the search terms in the items' text with highlight marks,
+     * removing any highlights from a previous search first.
+     * This is an internal helper method.
+     * @param {Array<Element>} [elements] The elements to update. Defaults to every item.
+     */
+    _updateSearchHighlights(elements = this.items) {
+        if (!this.options.highlightSearchMatches) return;
+        const highlightClass = this.options.searchHighlightClass;
 
-            this.originalOrder.forEach(item => {
-                 item.classList.remove(this.options.hiddenClass);
-                 this.listElement.appendChild(item);
+        elements.forEach(item => {
+            item.querySelectorAll(`mark.${highlightClass}`).forEach(mark => {
+                mark.replaceWith(document.createTextNode(mark.textContent));
             });
-            this.items = [...this.originalOrder];
+            item.normalize();
+        });
 
-            this.filterControlElements.forEach(control => {
-                 if (control.tagName.toLowerCase() === 'input' && (control.type === 'checkbox' || control.type === 'radio')) {
-                    control.checked = false;
-                } else if (control.tagName.toLowerCase() === 'select') {
-                     control.selectedIndex = 0;
-                }
-                control.classList.toggle(this.options.activeFilterClass, control.dataset.action === 'reset');
-                if (control.dataset.action === 'sort' && control.tagName.toLowerCase() !== 'select' && control.dataset.sortText) {
-                    control.innerHTML = control.dataset.sortText;
-                }
+        if (this.searchTerms.length === 0) return;
+
+        const escapedTerms = this.searchTerms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(${escapedTerms.join('|')})`, 'gi');
+
+        elements.forEach(item => {
+            const walker = document.createTreeWalker(item, NodeFilter.SHOW_TEXT);
+            const textNodes = [];
+            while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+            textNodes.forEach(textNode => {
+                const parts = textNode.nodeValue.split(pattern);
+                if (parts.length === 1) return;
+                const fragment = document.createDocumentFragment();
+                parts.forEach((part, index) => {
+                    if (!part) return;
+                    if (index % 2 === 1) {
+                        const mark = document.createElement('mark');
+                        mark.className = highlightClass;
+                        mark.textContent = part;
+                        fragment.appendChild(mark);
+                    } else {
+                        fragment.appendChild(document.createTextNode(part));
+                    }
+                });
+                textNode.replaceWith(fragment);
             });
-             this._updateNoMatchesMessage();
-        };
+        });
+    }
 
-        this.animateWithFlip(resetDomChange, visibleItemsBeforeReset);
+    /**
+     * Checks whether an item passes the active attribute filters, range filters and search.
+     * This is an internal helper method.
+     * @param {Element} item The DOM element.
+     * @param {string | null} [ignoredAttribute=null] An attribute whose value filters are treated as matching
+     *     every item (used for facet counts). With `attributeLogic: 'or'` this lets every item past the attribute filters.
+     * @returns {boolean} True if the item should be shown.
+     */
+    _matchesFilters(item, ignoredAttribute = null) {
+        const matchesAcrossAttributes = this.options.attributeLogic === 'or' ? 'some' : 'every';
+        const filteredAttributes = Array.from(this.activeFilters.entries())
+            .filter(([attribute]) => attribute !== ignoredAttribute);
+
+        if (filteredAttributes.length > 0 && !(ignoredAttribute !== null && matchesAcrossAttributes === 'some')) {
+            const matchesAttributes = filteredAttributes[matchesAcrossAttributes](([attribute, values]) => (
+                this._matchesAttributeFilter(item, attribute, values)
+            ));
+            if (!matchesAttributes) return false;
+        }
 
-        console.log("List reset to original state (with FLIP).");
+        for (const [attribute, values] of this.excludedFilters.entries()) {
+            if (Array.from(values).some(filterValue => this._itemHasValue(item, attribute, filterValue))) return false;
+        }
+
+        return this._matchesRanges(item) && this._matchesSearch(item);
     }
 
     /**
-     * Updates the visual state (e.g., active class) of all control elements based on the current filter/sort state.
+     * Checks an item against the selected values of one attribute.
+     * The filter logic decides whether the item must hold any ('or') or every ('and')
+     * selected value; with `multiValueMatch: 'all'`, every one of the item's own values
+     * must also be among the selected ones.
+     * This is an internal helper method.
+     * @param {Element} item The DOM element.
+     * @param {string} attribute The attribute key.
+     * @param {Set<string>} values The selected filter values.
+     * @returns {boolean}
      */
-    updateControlStates() {
-        this.filterControlElements.forEach(el => {
-            const action = el.dataset.action;
-            const attr = el.dataset.filterAttribute;
-            const val = el.dataset.filterValue;
+    _matchesAttributeFilter(item, attribute, values) {
+        const selectedValues = Array.from(values);
+        const matchesValues = this.getFilterLogic(attribute) === 'and' ? 'every' : 'some';
+        if (!selectedValues[matchesValues](filterValue => this._itemHasValue(item, attribute, filterValue))) return false;
+
+        if (this.getMultiValueMatch(attribute) === 'all') {
+            const selectedStrings = selectedValues.map(value => String(value).toLowerCase());
+            return this.getItemValues(item, attribute).every(value => selectedStrings.includes(this.formatValue(value).toLowerCase()));
+        }
+        return true;
+    }
 
-            if (action === 'filter') {
-                if (el.tagName.toLowerCase() !== 'input' && attr && val != null) {
-                    const isActive = this.isFilterActive(attr, val);
-                    el.classList.toggle(this.options.activeFilterClass, isActive);
+    /**
+     * Checks whether an item's value for an attribute equals a filter value (case-insensitive).
+     * Array values match if any of their entries is equal. A decade filter value such as
+     * '2000s' matches any date or year within that decade.
+     * This is an internal helper method.
+     * @param {Element} item The DOM element.
+     * @param {string} attribute The attribute key.
+     * @param {string} filterValue The value to look for.
+     * @returns {boolean}
+     */
+    _itemHasValue(item, attribute, filterValue) {
+        const filterValStr = filterValue != null ? String(filterValue).toLowerCase() : '';
+        const decadeMatch = /^(\d{3}0)s$/.exec(filterValStr);
+        return this.getItemValues(item, attribute).some(value => {
+            if (decadeMatch && (value instanceof Date || typeof value === 'number')) {
+                const year = value instanceof Date ? value.getUTCFullYear() : value;
+                const decadeStart = parseInt(decadeMatch[1], 10);
+                return year >= decadeStart && year < decadeStart + 10;
+            }
+            return this.formatValue(value).toLowerCase() === filterValStr;
+        });
+    }
+
+    /**
+     * Returns the items holding a value for an attribute, from the value index.
+     * A decade value such as '2000s' returns the items with a date or year in that decade.
+     * @param {string} attribute The attribute key.
+     * @param {*} value The value (compared case-insensitively).
+     * @returns {Set<Element>} The matching items (do not modify).
+     */
+    getItemsWithValue(attribute, value) {
+        const attributeIndex = this.valueIndex.get(attribute);
+        return (attributeIndex && attributeIndex.get(String(value).toLowerCase())) || new Set();
+    }
+
+    /**
+     * Adds an item's properties to the value index (attribute → lowercase value → Set of items).
+     * Dates and four-digit years are also indexed under their decade (e.g. '2000s').
+     * This is an internal helper method.
+     * @param {Element} item The item.
+     * @param {object} properties The item's parsed properties.
+     */
+    _addToValueIndex(item, properties) {
+        Object.entries(properties).forEach(([attribute, value]) => {
+            if (!this.valueIndex.has(attribute)) this.valueIndex.set(attribute, new Map());
+            const attributeIndex = this.valueIndex.get(attribute);
+            const add = key => {
+                if (!attributeIndex.has(key)) attributeIndex.set(key, new Set());
+                attributeIndex.get(key).add(item);
+            };
+            [].concat(value).forEach(entry => {
+                add(this.formatValue(entry).toLowerCase());
+                const year = entry instanceof Date ? entry.getUTCFullYear() : entry;
+                if (typeof year === 'number' && year >= 1000 && year < 10000) {
+                    add(`${Math.floor(year / 10) * 10}s`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Removes an item from the value index, using the properties it was indexed with.
+     * This is an internal helper method.
+     * @param {Element} item The item.
+     */
+    _removeFromValueIndex(item) {
+        const properties = this.itemPropertiesMap.get(item);
+        if (!properties) return;
+        Object.keys(properties).forEach(attribute => {
+            const attributeIndex = this.valueIndex.get(attribute);
+            if (!attributeIndex) return;
+            attributeIndex.forEach((itemSet, key) => {
+                itemSet.delete(item);
+                if (itemSet.size === 0) attributeIndex.delete(key);
+            });
+        });
+    }
+
+    /**
+     * Returns the set of items that pass the active filters, exclusions, ranges and search.
+     * Attribute filters and exclusions are resolved with set unions and intersections on the
+     * value index; ranges and search are then checked on the remaining candidates only.
+     * With `useValueIndex: false`, every item is checked with _matchesFilters() instead.
+     * This is an internal helper method.
+     * @param {string | null} [ignoredAttribute=null] An attribute whose value filters are treated as matching
+     *     every item (used for facet counts). With `attributeLogic: 'or'` this lets every item past the attribute filters.
+     * @returns {Set<Element>}
+     */
+    _getMatchingItems(ignoredAttribute = null) {
+        if (!this.options.useValueIndex) {
+            return new Set(this.items.filter(item => this._matchesFilters(item, ignoredAttribute)));
+        }
+
+        const union = sets => {
+            const result = new Set();
+            sets.forEach(set => set.forEach(item => result.add(item)));
+            return result;
+        };
+        const intersection = sets => {
+            if (sets.length === 0) return new Set();
+            const [smallest, ...rest] = [...sets].sort((a, b) => a.size - b.size);
+            return new Set(Array.from(smallest).filter(item => rest.every(set => set.has(item))));
+        };
+
+        const attributeSets = [];
+        this.activeFilters.forEach((values, attribute) => {
+            if (attribute === ignoredAttribute) return;
+            const valueSets = Array.from(values).map(value => this.getItemsWithValue(attribute, value));
+            let attributeSet = this.getFilterLogic(attribute) === 'and' ? intersection(valueSets) : union(valueSets);
+            if (this.getMultiValueMatch(attribute) === 'all') {
+                attributeSet = new Set(Array.from(attributeSet).filter(item => this._matchesAttributeFilter(item, attribute, values)));
+            }
+            attributeSets.push(attributeSet);
+        });
+
+        let candidates = this.items;
+        if (attributeSets.length > 0 && !(ignoredAttribute !== null && this.options.attributeLogic === 'or')) {
+            candidates = this.options.attributeLogic === 'or' ? union(attributeSets) : intersection(attributeSets);
+        }
+
+        const excludedItems = union(Array.from(this.excludedFilters.entries()).flatMap(([attribute, values]) => (
+            Array.from(values).map(value => this.getItemsWithValue(attribute, value))
+        )));
+
+        const matchingItems = new Set();
+        candidates.forEach(item => {
+            if (!excludedItems.has(item) && this._matchesRanges(item) && this._matchesSearch(item)) matchingItems.add(item);
+        });
+        return matchingItems;
+    }
+
+    /**
+     * Counts, for every filter control, how many items would match if its value were selected,
+     * given the other active filters. For attributes using OR logic, or with nothing selected yet,
+     * the attribute's own filters are ignored, since selecting another value widens the result;
+     * with AND logic they are kept, since selecting another value narrows it. With
+     * `attributeLogic: 'or'`, an ignored attribute also lifts the other attributes' filters, as
+     * any item holding the value joins the union.
+     * @returns {Map<string, Map<string, number>>} Attribute → lowercase value → count.
+     */
+    getFacetCounts() {
+        const counts = new Map();
+        const facetValues = new Map();
+        this.filterControlElements.forEach(control => {
+            if (control.dataset.action !== 'filter' || !control.dataset.filterAttribute) return;
+            const attribute = control.dataset.filterAttribute;
+            if (!facetValues.has(attribute)) facetValues.set(attribute, new Set());
+            const values = control.tagName.toLowerCase() === 'select'
+                ? Array.from(control.options).map(option => option.value).filter(Boolean)
+                : [control.dataset.filterValue];
+            values.forEach(value => value != null && facetValues.get(attribute).add(String(value).toLowerCase()));
+        });
+
+        facetValues.forEach((values, attribute) => {
+            const ignoresOwnFilters = this.getFilterLogic(attribute) === 'or' || !this.activeFilters.has(attribute);
+            const matchingItems = this._getMatchingItems(ignoresOwnFilters ? attribute : null);
+            const attributeCounts = new Map();
+            values.forEach(value => {
+                const itemsWithValue = this.options.useValueIndex
+                    ? this.getItemsWithValue(attribute, value)
+                    : this.items.filter(item => this._itemHasValue(item, attribute, value));
+                let count = 0;
+                itemsWithValue.forEach(item => {
+                    if (matchingItems.has(item)) count++;
+                });
+                attributeCounts.set(value, count);
+            });
+            counts.set(attribute, attributeCounts);
+        });
+        return counts;
+    }
+
+    /**
+     * Renders facet counts into the filter controls (e.g. "Nintendo (9)") and, with
+     * `disableEmptyFacets`, disables options that would produce no results.
+     * Active options are never disabled, so they can always be turned off again.
+     */
+    updateFacetCounts() {
+        const { showFacetCounts, disableEmptyFacets, facetCountClass, facetEmptyClass, facetCountFormat } = this.options;
+        if (!showFacetCounts && !disableEmptyFacets) return;
+
+        const counts = this.getFacetCounts();
+        const countFor = (attribute, value) => {
+            const attributeCounts = counts.get(attribute);
+            return attributeCounts ? attributeCounts.get(String(value).toLowerCase()) || 0 : 0;
+        };
+
+        this.filterControlElements.forEach(control => {
+            if (control.dataset.action !== 'filter' || !control.dataset.filterAttribute) return;
+            const attribute = control.dataset.filterAttribute;
+            const tagName = control.tagName.toLowerCase();
+
+            if (tagName === 'select') {
+                Array.from(control.options).forEach(option => {
+                    if (!option.value) return;
+                    const count = countFor(attribute, option.value);
+                    if (option.dataset.facetLabel === undefined) option.dataset.facetLabel = option.textContent;
+                    option.textContent = showFacetCounts
+                        ? `${option.dataset.facetLabel} ${facetCountFormat(count)}`
+                        : option.dataset.facetLabel;
+                    option.disabled = disableEmptyFacets && count === 0 && !option.selected;
+                });
+                return;
+            }
+
+            const value = control.dataset.filterValue;
+            if (!value) return;
+            const count = countFor(attribute, value);
+            const isEmpty = count === 0 && !this.isFilterActive(attribute, value);
+            const labelElement = tagName === 'input' ? (control.closest('label') || control.parentElement) : control;
+
+            let countElement = labelElement.querySelector(`.${facetCountClass}`);
+            if (showFacetCounts) {
+                if (!countElement) {
+                    countElement = document.createElement('span');
+                    countElement.className = facetCountClass;
+                    labelElement.appendChild(document.createTextNode(' '));
+                    labelElement.appendChild(countElement);
+                }
+                countElement.textContent = facetCountFormat(count);
+            }
+
+            const disabled = disableEmptyFacets && isEmpty;
+            labelElement.classList.toggle(facetEmptyClass, disabled);
+            if (tagName === 'input') {
+                control.disabled = disabled;
+            } else if (disabled) {
+                control.setAttribute('aria-disabled', 'true');
+            } else {
+                control.removeAttribute('aria-disabled');
+            }
+        });
+    }
+
+    /**
+     * Applies the currently active filters to the items by toggling the hidden class.
+     * This is an internal helper method.
+     * @returns {number} The number of items currently visible after applying filters.
+     */
+    _applyFilterClasses() {
+        let visibleItemCount = 0;
+        const matchingItems = this._getMatchingItems();
+        this.items.forEach(item => {
+            const shouldShow = matchingItems.has(item);
+            if (shouldShow) {
+                item.classList.remove(this.options.hiddenClass);
+                visibleItemCount++;
+            } else {
+                item.classList.add(this.options.hiddenClass);
+            }
+        });
+        this._applyPagination();
+        return visibleItemCount;
+    }
+
+    /**
+     * Updates the visibility of the 'no matches' message based on visible item count.
+     * This is an internal helper method.
+     * @param {number} [count=-1] Optional explicit count of visible items. If -1, calculates internally.
+     */
+    _updateNoMatchesMessage(count = -1) {
+         if (this.noMatchesMessageElement) {
+             const visibleCount = count === -1 ? this.getVisibleItems().length : count;
+             this.noMatchesMessageElement.style.display = visibleCount === 0 ? 'list-item' : 'none';
+         }
+    }
+
+    /**
+     * Applies the current filters to the list items, updating visibility.
+     * Remaining items FLIP into place while hidden and revealed items fade out and in.
+     * Returns to page 1 if the filters, ranges or search changed since the last call.
+     * @param {boolean} [animate=true] Pass false to update visibility immediately.
+     */
+    applyFilters(animate = true) {
+        this._emit('beforeFilter');
+        const filterSignature = this._getFilterSignature();
+        if (filterSignature !== this.filterSignature) {
+            this.filterSignature = filterSignature;
+            this.currentPage = 1;
+        }
+        let visibleCount = 0;
+        const filterDomChange = () => {
+            visibleCount = this._applyFilterClasses();
+        };
+        if (animate) {
+            this.animateWithFlip(filterDomChange);
+        } else {
+            this._finishFlipAnimation();
+            filterDomChange();
+        }
+        this._updateNoMatchesMessage(visibleCount);
+        this.updateFacetCounts();
+
+        console.log(`Applied filters (${animate && this.shouldAnimate() ? 'with' : 'without'} FLIP).`);
+        this._emit('afterFilter');
+    }
+
+    /**
+     * Resets all filters and sorting, restoring the original item order with animation.
+     */
+    resetItems() {
+        const visibleItemsBeforeReset = this.getVisibleItems();
+
+        const resetDomChange = () => {
+            this.activeFilters.clear();
+            this.excludedFilters.clear();
+            this.activeRanges.clear();
+            this.searchTerms = [];
+            clearTimeout(this.searchDebounceTimer);
+            this._setSortKeys([]);
+
+            this.items = [...this.originalOrder];
+            this._renderItemOrder();
+            this.currentPage = 1;
+            this.filterSignature = this._getFilterSignature();
+            this._applyFilterClasses();
+
+            this.filterControlElements.forEach(control => {
+                 if (control.tagName.toLowerCase() === 'input' && (control.type === 'checkbox' || control.type === 'radio')) {
+                    control.checked = control.type === 'radio' && control.dataset.filterValue === '';
+                } else if (control.tagName.toLowerCase() === 'select') {
+                     control.selectedIndex = 0;
+                } else if (control.dataset.action === 'search') {
+                    control.value = '';
+                } else if (control.dataset.action === 'range') {
+                    control.value = control.defaultValue;
+                }
+                control.classList.toggle(this.options.activeFilterClass, control.dataset.action === 'reset');
+                if (control.dataset.action === 'sort' && control.tagName.toLowerCase() !== 'select' && control.dataset.sortText) {
+                    control.innerHTML = control.dataset.sortText;
+                }
+            });
+             this._updateNoMatchesMessage();
+        };
+
+        this.animateWithFlip(resetDomChange, visibleItemsBeforeReset);
+        // Grouping is a view setting, not a filter: keep its controls as they were.
+        this.updateControlStates();
+        this._updateSearchHighlights();
+        this.updateFacetCounts();
+        this._syncUrl();
+
+        console.log("List reset to original state (with FLIP).");
+        this._emit('afterReset');
+    }
+
+    /**
+     * Returns a plain snapshot of the current filter, range, search and sort state.
+     * @returns {{filters: object, exclude: object, ranges: object, search: string, sort: {attribute: (string|null), direction: string}}}
+     */
+    getState() {
+        const filters = {};
+        this.activeFilters.forEach((values, attribute) => {
+            filters[attribute] = Array.from(values);
+        });
+        const exclude = {};
+        this.excludedFilters.forEach((values, attribute) => {
+            exclude[attribute] = Array.from(values);
+        });
+        const ranges = {};
+        this.activeRanges.forEach((range, attribute) => {
+            ranges[attribute] = { ...range };
+        });
+        return {
+            filters,
+            exclude,
+            ranges,
+            search: this.searchTerms.join(' '),
+            page: this.currentPage,
+            group: this.groupAttribute,
+            sort: {
+                attribute: this.currentSortAttribute,
+                direction: this.currentSortDirection,
+                keys: this.sortKeys.map(key => ({ ...key })),
+            },
+        };
+    }
+
+    /**
+     * Replaces the current filter, range, search and sort state and applies it without animation.
+     * Any property left out of `state` is cleared.
+     * @param {object} state A state object, as returned by getState().
+     * @param {object} [state.filters] Attribute → value or array of values, e.g. `{ brand: 'nintendo' }`.
+     * @param {object} [state.exclude] Attribute → value or array of values to hide, e.g. `{ console: 'wii' }`.
+     * @param {object} [state.ranges] Attribute → `{ min, max }`, e.g. `{ year: { min: 2004, max: 2013 } }`.
+     * @param {string} [state.search] The free-text search query.
+     * @param {number} [state.page] The page to show (see the `pageSize` option). Defaults to the current
+     *     page, or to page 1 when the filters, ranges or search changed.
+     * @param {string} [state.group] The attribute to group the items by (see groupBy()).
+     * @param {object} [state.sort] `{ attribute, direction }`, with direction 'asc' or 'desc', or
+     *     `{ keys }` with an array of sort keys (see parseSortKeys()) for a multi-key sort.
+     */
+    setState(state = {}) {
+        this.activeFilters = new Map();
+        Object.entries(state.filters || {}).forEach(([attribute, values]) => {
+            const valueSet = new Set([].concat(values).filter(value => value != null && value !== '')
+                .map(value => this._normalizeFilterValue('filter', attribute, value)));
+            if (valueSet.size > 0) this.activeFilters.set(attribute, valueSet);
+        });
+
+        this.excludedFilters = new Map();
+        Object.entries(state.exclude || {}).forEach(([attribute, values]) => {
+            const valueSet = new Set([].concat(values).filter(value => value != null && value !== '')
+                .map(value => this._normalizeFilterValue('exclude', attribute, value)));
+            if (valueSet.size > 0) this.excludedFilters.set(attribute, valueSet);
+        });
+
+        this.activeRanges = new Map();
+        Object.entries(state.ranges || {}).forEach(([attribute, range]) => {
+            const min = range ? this.parseRangeBound(range.min) : null;
+            const max = range ? this.parseRangeBound(range.max) : null;
+            if (min !== null || max !== null) this.activeRanges.set(attribute, { min, max });
+        });
+
+        clearTimeout(this.searchDebounceTimer);
+        this.searchTerms = String(state.search || '').toLowerCase().trim().split(/\s+/).filter(Boolean);
+
+        const sort = state.sort || {};
+        this._setSortKeys(Array.isArray(sort.keys) && sort.keys.length > 0
+            ? this.parseSortKeys(sort.keys)
+            : this.parseSortKeys(sort.attribute ? { attribute: sort.attribute, direction: sort.direction } : null));
+
+        // Compare against the previous signature before storing the new one, so changed filters
+        // go back to page 1 unless the state names its own page (as a restored URL does).
+        const filterSignature = this._getFilterSignature();
+        const filtersChanged = filterSignature !== this.filterSignature;
+        this.filterSignature = filterSignature;
+        if (state.page !== undefined && state.page !== null) {
+            this.currentPage = parseInt(state.page, 10) || 1;
+        } else if (filtersChanged) {
+            this.currentPage = 1;
+        }
+        this.groupAttribute = state.group || null;
+
+        this._syncControlsToState();
+
+        if (this.currentSortAttribute) {
+            this.items.sort(this.compareItems());
+        } else {
+            this.items = [...this.originalOrder];
+        }
+        this._renderItemOrder();
+        this.applyFilters(false);
+        this._updateSearchHighlights();
+        this._syncUrl();
+    }
+
+    /**
+     * Replaces the active attribute filters, keeping ranges, search and sort.
+     * @param {object} filters Attribute → value or array of values, e.g. `{ brand: 'nintendo', damage: ['acid', 'dog'] }`.
+     */
+    setFilters(filters = {}) {
+        const { page, ...state } = this.getState();
+        this.setState({ ...state, filters });
+    }
+
+    /**
+     * Clears every filter value and any range filter for one attribute.
+     * @param {string} attribute The attribute to clear (e.g., 'damage').
+     */
+    clearFilter(attribute) {
+        const state = this.getState();
+        delete state.filters[attribute];
+        delete state.ranges[attribute];
+        delete state.page;
+        this.setState(state);
+    }
+
+    /**
+     * Sorts the list, with animation. Passing no attribute restores the original order.
+     * Several keys sort by each in turn, e.g. `sortBy('brand,year:desc')` or
+     * `sortBy([{ attribute: 'brand' }, { attribute: 'damage', comparator: 'damageSeverity' }])`.
+     * @param {string | object | Array | null} attribute The attribute or sort keys to sort by (see parseSortKeys()).
+     * @param {string} [direction='asc'] 'asc' or 'desc', for keys that do not give their own direction.
+     */
+    sortBy(attribute, direction = 'asc') {
+        const sortKeys = this.parseSortKeys(attribute, direction);
+        if (sortKeys.length === 0) {
+            this.setState({ ...this.getState(), sort: { attribute: null } });
+            return;
+        }
+        this._setSortKeys(sortKeys);
+        this._syncControlsToState();
+        this.sortItems();
+        this._syncUrl();
+    }
+
+    /**
+     * Groups the items under a heading per value of an attribute (e.g. 'brand'), with animation.
+     * Groups follow the current sort, and a group with no displayed items hides its heading.
+     * An item with several values goes in the group of its first value; the `groupLabels`
+     * option can map values to other groups, e.g. `{ released: date => `${date.getUTCFullYear()}` }`.
+     * @param {string | null} attribute The attribute to group by, or null to remove the grouping.
+     */
+    groupBy(attribute) {
+        this.groupAttribute = attribute || null;
+        if (!this.groupAttribute) {
+            this.items = this.currentSortAttribute ? this.items.sort(this.compareItems()) : [...this.originalOrder];
+        }
+        this.animateWithFlip(() => {
+            this._renderItemOrder();
+            this._applyFilterClasses();
+        });
+        if (this.noMatchesMessageElement) this.listElement.appendChild(this.noMatchesMessageElement);
+        this.updateControlStates();
+        this._syncUrl();
+        this._emit('afterGroup');
+    }
+
+    /**
+     * Collapses or expands a group in the grouped view.
+     * @param {string} groupKey The group's key (its header's `data-group`).
+     * @param {boolean} [collapsed] Whether to collapse the group. Defaults to toggling it.
+     */
+    toggleGroup(groupKey, collapsed = !this.collapsedGroups.has(groupKey)) {
+        if (!this.groupHeaders.has(groupKey)) return;
+        if (collapsed) {
+            this.collapsedGroups.add(groupKey);
+        } else {
+            this.collapsedGroups.delete(groupKey);
+        }
+        this._updateGroupHeaders();
+    }
+
+    /**
+     * Returns the group key and label for an item in the grouped view.
+     * This is an internal helper method.
+     * @param {Element} item The item.
+     * @returns {{key: string, label: string}}
+     */
+    _getItemGroup(item) {
+        const attribute = this.groupAttribute;
+        const value = this.getItemValues(item, attribute)[0];
+        if (value === undefined || value === '') return { key: '', label: this.options.groupFallbackLabel };
+        const labelFn = this.options.groupLabels[attribute];
+        const label = typeof labelFn === 'function'
+            ? String(labelFn(value, item))
+            : this._getValueLabel('filter', attribute, this.formatValue(value));
+        return { key: label.toLowerCase(), label };
+    }
+
+    /**
+     * Creates the list entry used as a group heading, with a toggle button when
+     * `collapsibleGroups` is on.
+     * This is an internal helper method.
+     * @param {string} key The group key.
+     * @returns {Element}
+     */
+    _createGroupHeader(key) {
+        const { groupHeaderClass, groupHeadingLevel, collapsibleGroups } = this.options;
+        const header = document.createElement('li');
+        header.className = groupHeaderClass;
+        header.dataset.group = key;
+        const heading = document.createElement(`h${Math.min(Math.max(parseInt(groupHeadingLevel, 10) || 3, 1), 6)}`);
+        heading.className = `${groupHeaderClass}-title`;
+        const label = document.createElement(collapsibleGroups ? 'button' : 'span');
+        label.className = `${groupHeaderClass}-label`;
+        if (collapsibleGroups) {
+            label.type = 'button';
+            label.setAttribute('aria-expanded', 'true');
+            label.addEventListener('click', () => this.toggleGroup(key));
+        }
+        heading.appendChild(label);
+        header.appendChild(heading);
+        return header;
+    }
+
+    /**
+     * Updates the group headings' counts, hides headings of groups with no displayed items,
+     * and applies the collapsed state to the items. Like getShownCount(), a heading's `count`
+     * leaves out items paged out by pagination; `totalCount` includes them.
+     * This is an internal helper method.
+     */
+    _updateGroupHeaders() {
+        if (!this.groupAttribute) return;
+        const { hiddenClass, pagedOutClass, groupCollapsedClass, groupHeaderClass } = this.options;
+        const counts = new Map();
+        const totalCounts = new Map();
+        this.items.forEach(item => {
+            const key = this.itemGroupKeys.get(item);
+            item.classList.toggle(groupCollapsedClass, this.collapsedGroups.has(key));
+            if (item.classList.contains(hiddenClass)) return;
+            totalCounts.set(key, (totalCounts.get(key) || 0) + 1);
+            if (!item.classList.contains(pagedOutClass)) counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        this.groupHeaders.forEach((header, key) => {
+            const isCollapsed = this.collapsedGroups.has(key);
+            header.classList.toggle(hiddenClass, !counts.has(key));
+            header.classList.toggle(groupCollapsedClass, isCollapsed);
+            const label = header.querySelector(`.${groupHeaderClass}-label`);
+            label.textContent = this.options.groupHeaderFormat({
+                label: header.dataset.groupLabel,
+                count: counts.get(key) || 0,
+                totalCount: totalCounts.get(key) || 0,
+            });
+            if (label.tagName.toLowerCase() === 'button') label.setAttribute('aria-expanded', String(!isCollapsed));
+        });
+    }
+
+    /**
+     * Returns the number of pages in the filtered result set (always at least 1).
+     * @returns {number}
+     */
+    getPageCount() {
+        const { pageSize } = this.options;
+        if (!(pageSize > 0)) return 1;
+        return Math.max(1, Math.ceil(this.getVisibleItems().length / pageSize));
+    }
+
+    /**
+     * Returns the filtered items shown on the current page (or, in 'append' and 'infinite' mode,
+     * every item loaded so far), in their displayed order.
+     * @returns {Array<Element>}
+     */
+    getPageItems() {
+        return this.getVisibleItems().filter(item => !item.classList.contains(this.options.pagedOutClass));
+    }
+
+    /**
+     * Returns how many filtered items are actually shown: the visible items minus any paged out
+     * by pagination. Without pagination this is the same as getVisibleItems().length.
+     * @returns {number}
+     */
+    getShownCount() {
+        return this.getPageItems().length;
+    }
+
+    /**
+     * Shows another page of the filtered and sorted items, with animation.
+     * In 'append' and 'infinite' mode, every page up to the given one is shown.
+     * @param {number | string} page A page number, or 'first', 'prev', 'next' or 'last'.
+     */
+    goToPage(page) {
+        const targetPage = Math.min(Math.max(1, this._resolvePage(page)), this.getPageCount());
+        if (!targetPage || targetPage === this.currentPage) return;
+
+        this.animateWithFlip(() => {
+            this.currentPage = targetPage;
+            this._applyPagination();
+        });
+        this._syncUrl();
+        this._emit('afterPageChange');
+    }
+
+    /**
+     * Loads the next page of items below the ones already shown ("load more").
+     */
+    loadMore() {
+        this.goToPage(this.currentPage + 1);
+    }
+
+    /**
+     * Converts a page reference from a control (`data-page`) into a page number.
+     * This is an internal helper method.
+     * @param {number | string} page A page number, or 'first', 'prev', 'next' or 'last'.
+     * @returns {number} The page number (NaN if invalid).
+     */
+    _resolvePage(page) {
+        switch (page) {
+            case 'first': return 1;
+            case 'prev': return this.currentPage - 1;
+            case 'next': return this.currentPage + 1;
+            case 'last': return this.getPageCount();
+            default: return parseInt(page, 10);
+        }
+    }
+
+    /**
+     * Marks the filtered items outside the current page with `pagedOutClass` and updates the
+     * pagination controls. Keeps the current page within range when the result set shrinks.
+     * This is an internal helper method.
+     */
+    _applyPagination() {
+        const { pageSize, paginationMode, pagedOutClass } = this.options;
+        const visibleItems = this.getVisibleItems();
+        this.currentPage = Math.min(Math.max(1, this.currentPage), this.getPageCount());
+
+        const end = pageSize > 0 ? this.currentPage * pageSize : Infinity;
+        const start = pageSize > 0 && paginationMode === 'pages' ? end - pageSize : 0;
+        this.items.forEach(item => item.classList.remove(pagedOutClass));
+        visibleItems.forEach((item, index) => {
+            if (index < start || index >= end) item.classList.add(pagedOutClass);
+        });
+        this._updatePaginationControls();
+        this._updateGroupHeaders();
+    }
+
+    /**
+     * Updates page controls (`data-action="page"`), "load more" controls (`data-action="load-more"`)
+     * and generated page links (`[data-pagination]`) for the current page.
+     * This is an internal helper method.
+     */
+    _updatePaginationControls() {
+        const pageCount = this.getPageCount();
+
+        this.filterControlElements.forEach(control => {
+            if (control.dataset.action === 'page') {
+                const targetPage = this._resolvePage(control.dataset.page);
+                const isUnavailable = !(targetPage >= 1 && targetPage <= pageCount) || targetPage === this.currentPage;
+                control.setAttribute('aria-disabled', String(isUnavailable));
+                if (!isNaN(parseInt(control.dataset.page, 10))) {
+                    control.classList.toggle(this.options.activeFilterClass, targetPage === this.currentPage);
+                }
+            } else if (control.dataset.action === 'load-more') {
+                control.hidden = this.currentPage >= pageCount;
+            }
+        });
+
+        this.paginationElements.forEach(element => {
+            const links = [];
+            for (let page = 1; page <= pageCount; page++) {
+                const link = document.createElement('a');
+                link.href = '#';
+                link.dataset.page = page;
+                link.textContent = page;
+                if (page === this.currentPage) {
+                    link.classList.add(this.options.activeFilterClass);
+                    link.setAttribute('aria-current', 'page');
+                }
+                links.push(link);
+            }
+            element.replaceChildren(...links);
+            element.hidden = pageCount <= 1 || this.options.paginationMode !== 'pages';
+        });
+    }
+
+    /**
+     * Loads the next page whenever a "load more" control scrolls into view ('infinite' mode).
+     * This is an internal helper method.
+     */
+    _startInfiniteScroll() {
+        if (typeof IntersectionObserver !== 'function') {
+            console.warn('FilterableList: IntersectionObserver is not supported; "load more" controls must be clicked.');
+            return;
+        }
+        this.pageObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting || this.currentPage >= this.getPageCount()) return;
+                this.loadMore();
+                // Re-observe so a control that is still in view after loading triggers again.
+                this.pageObserver.unobserve(entry.target);
+                this.pageObserver.observe(entry.target);
+            });
+        });
+        this.filterControlElements
+            .filter(control => control.dataset.action === 'load-more')
+            .forEach(control => this.pageObserver.observe(control));
+    }
+
+    /**
+     * Returns a string identifying the current filters, ranges and search, used to
+     * go back to page 1 whenever they change.
+     * This is an internal helper method.
+     * @returns {string}
+     */
+    _getFilterSignature() {
+        const { filters, exclude, ranges, search } = this.getState();
+        return JSON.stringify({ filters, exclude, ranges, search });
+    }
+
+    /**
+     * Returns the items that are currently visible, in their displayed order.
+     * With pagination, this includes matching items on other pages; see getPageItems()
+     * and getShownCount().
+     * @returns {Array<Element>}
+     */
+    getVisibleItems() {
+        return this.items.filter(item => !item.classList.contains(this.options.hiddenClass));
+    }
+
+    /**
+     * Adds items to the list and re-applies the active filters and sort.
+     * Items not yet in the list element are inserted before the no-matches message.
+     * New items join the end of the original order used by reset.
+     * @param {Element | Array<Element> | NodeList} elements The item(s) to add.
+     */
+    addItems(elements) {
+        const newItems = (elements instanceof Element ? [elements] : Array.from(elements || []))
+            .filter(item => item instanceof Element && !this.itemPropertiesMap.has(item));
+        if (newItems.length === 0) return;
+
+        newItems.forEach(item => {
+            if (item.parentElement !== this.listElement) {
+                this.listElement.insertBefore(item, this.noMatchesMessageElement);
+            }
+            this._indexItem(item);
+        });
+        this.items.push(...newItems);
+        this.originalOrder.push(...newItems);
+
+        console.log(`FilterableList: Added ${newItems.length} item(s).`);
+        this._reapplyState();
+    }
+
+    /**
+     * Removes items from the list and drops every stored reference to them.
+     * @param {Element | Array<Element> | NodeList} elements The item(s) to remove.
+     * @param {boolean} [detach=true] Also remove the elements from the DOM.
+     */
+    removeItems(elements, detach = true) {
+        const removedItems = new Set((elements instanceof Element ? [elements] : Array.from(elements || []))
+            .filter(item => this.itemPropertiesMap.has(item)));
+        if (removedItems.size === 0) return;
+
+        removedItems.forEach(item => {
+            this._removeFromValueIndex(item);
+            this.itemPropertiesMap.delete(item);
+            if (detach && item.parentElement === this.listElement) item.remove();
+        });
+        this.items = this.items.filter(item => !removedItems.has(item));
+        this.originalOrder = this.originalOrder.filter(item => !removedItems.has(item));
+
+        console.log(`FilterableList: Removed ${removedItems.size} item(s).`);
+        this._reapplyState();
+    }
+
+    /**
+     * Re-scans the list element: indexes items that appeared, forgets items that left,
+     * and re-parses the data attribute of every remaining item.
+     */
+    refreshItems() {
+        const currentItems = Array.from(this.listElement.querySelectorAll(this.options.itemSelector));
+        const currentSet = new Set(currentItems);
+        const removedItems = this.items.filter(item => !currentSet.has(item));
+        const addedItems = currentItems.filter(item => !this.itemPropertiesMap.has(item));
+
+        if (removedItems.length > 0) this.removeItems(removedItems, false);
+        this.items.forEach(item => this._indexItem(item));
+        if (addedItems.length > 0) {
+            this.addItems(addedItems);
+        } else {
+            this._reapplyState();
+        }
+    }
+
+    /**
+     * Watches the list element and keeps the items in sync as they are inserted,
+     * removed, or have their data attribute changed by other scripts.
+     */
+    startObserving() {
+        if (this.mutationObserver || typeof MutationObserver !== 'function') return;
+
+        const attributeName = `data-${this.options.itemDataAttribute.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+        this.mutationObserver = new MutationObserver(records => {
+            const itemsChanged = records.some(record => {
+                if (record.type === 'attributes') return this.itemPropertiesMap.has(record.target);
+                return record.target === this.listElement &&
+                    [...record.addedNodes, ...record.removedNodes].some(node => node instanceof Element && node !== this.noMatchesMessageElement);
+            });
+            if (!itemsChanged) return;
+
+            const currentItems = Array.from(this.listElement.querySelectorAll(this.options.itemSelector));
+            const membershipChanged = currentItems.length !== this.items.length ||
+                currentItems.some(item => !this.itemPropertiesMap.has(item));
+            const attributesChanged = records.some(record => record.type === 'attributes');
+            if (membershipChanged || attributesChanged) this.refreshItems();
+        });
+        this.mutationObserver.observe(this.listElement, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: [attributeName],
+        });
+    }
+
+    /**
+     * Stops watching the list element for changes.
+     */
+    stopObserving() {
+        if (!this.mutationObserver) return;
+        this.mutationObserver.disconnect();
+        this.mutationObserver = null;
+    }
+
+    /**
+     * Re-sorts (if a sort is active) and re-filters the items without animation,
+     * e.g. after items were added or removed.
+     * This is an internal helper method.
+     */
+    _reapplyState() {
+        this.renderFilterPanel();
+        if (this.currentSortAttribute) {
+            this.items.sort(this.compareItems());
+        }
+        this._renderItemOrder();
+        if (this.noMatchesMessageElement) this.listElement.appendChild(this.noMatchesMessageElement);
+        this.applyFilters(false);
+        this._updateSearchHighlights();
+        if (this.mutationObserver) this.mutationObserver.takeRecords();
+    }
+
+    /**
+     * Runs a lifecycle hook: calls the matching option callback, if any, and dispatches
+     * a `filterablelist:<hookname>` CustomEvent on the container.
+     * This is an internal helper method.
+     * @param {string} hookName The hook name (e.g., 'afterFilter').
+     */
+    _emit(hookName) {
+        const detail = {
+            instance: this,
+            visibleCount: this.getVisibleItems().length,
+            shownCount: this.getShownCount(),
+            totalCount: this.items.length,
+            page: this.currentPage,
+            pageCount: this.getPageCount(),
+            state: this.getState(),
+        };
+
+        if (typeof this.options[hookName] === 'function') {
+            try {
+                this.options[hookName].call(this, detail);
+            } catch (error) {
+                console.error(`FilterableList: Error in ${hookName} callback.`, error);
+            }
+        }
+        this.container.dispatchEvent(new CustomEvent(`filterablelist:${hookName.toLowerCase()}`, { detail, bubbles: true }));
+
+        if (hookName === 'beforeFilter') return;
+        this._updateAriaStates();
+        this.renderActiveFilters();
+        if (!this.isRestoringState) this._announceChange(hookName, detail);
+    }
+
+    /**
+     * Renders the `[data-active-filters]` region: one chip per active filter value, exclusion
+     * and range, plus one for the sort, each with a × button that removes just that part of
+     * the state. The region is hidden while there is nothing to show.
+     */
+    renderActiveFilters() {
+        const region = this.activeFiltersElement;
+        if (!region) return;
+        const { chipClass, chipFormat, chipRemoveLabel } = this.options;
+        const labels = this.options.filterPanel.labels || {};
+        const attributeLabel = attribute => labels[attribute] || this._formatPanelLabel(attribute);
+
+        const chips = [];
+        const addChip = (type, text, remove) => chips.push({ type, text, remove });
+        this.activeFilters.forEach((values, attribute) => values.forEach(value => {
+            addChip('filter', chipFormat({ type: 'filter', attribute, value, attributeLabel: attributeLabel(attribute), valueLabel: this._getValueLabel('filter', attribute, value) }),
+                () => this.removeFilter(attribute, value));
+        }));
+        this.excludedFilters.forEach((values, attribute) => values.forEach(value => {
+            addChip('exclude', chipFormat({ type: 'exclude', attribute, value, attributeLabel: attributeLabel(attribute), valueLabel: this._getValueLabel('exclude', attribute, value) }),
+                () => this.removeExclusion(attribute, value));
+        }));
+        this.activeRanges.forEach((range, attribute) => {
+            const bound = value => (value === null ? '…' : this.formatValue(value));
+            const rangeControl = this.filterControlElements.find(control =>
+                control.dataset.action === 'range' && control.tagName.toLowerCase() !== 'input' &&
+                control.dataset.filterAttribute === attribute && range[control.dataset.rangeBound === 'max' ? 'min' : 'max'] === null &&
+                this._isRangeBoundActive(attribute, control.dataset.rangeBound === 'max' ? 'max' : 'min', control.dataset.filterValue));
+            const valueLabel = rangeControl ? this._getControlText(rangeControl) : `${bound(range.min)} – ${bound(range.max)}`;
+            addChip('range', chipFormat({ type: 'range', attribute, value: range, attributeLabel: attributeLabel(attribute), valueLabel }),
+                () => this.removeRangeFilter(attribute));
+        });
+        if (this.currentSortAttribute) {
+            const sortControl = this.filterControlElements.find(control =>
+                control.dataset.action === 'sort' && control.tagName.toLowerCase() !== 'select' &&
+                control.dataset.filterAttribute === this.currentSortAttribute);
+            const label = (sortControl && this._getSortControlText(sortControl)) || attributeLabel(this.currentSortAttribute);
+            addChip('sort', this.options.sortAnnouncementFormat({ label, direction: this.currentSortDirection }), () => this.sortBy(null));
+        }
+
+        // Removing a chip re-renders the region, so focus moves on to the chip that takes its place.
+        const focusedIndex = Array.from(region.querySelectorAll(`.${chipClass}-remove`)).indexOf(document.activeElement);
+
+        region.replaceChildren(...chips.map(chip => {
+            const chipElement = document.createElement('span');
+            chipElement.className = chipClass;
+            chipElement.dataset.chipType = chip.type;
+            const label = document.createElement('span');
+            label.className = `${chipClass}-label`;
+            label.textContent = chip.text;
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = `${chipClass}-remove`;
+            removeButton.setAttribute('aria-label', chipRemoveLabel(chip.text));
+            removeButton.textContent = '×';
+            removeButton.addEventListener('click', chip.remove);
+            chipElement.append(label, removeButton);
+            return chipElement;
+        }));
+        region.hidden = chips.length === 0;
+
+        if (focusedIndex !== -1) {
+            const removeButtons = region.querySelectorAll(`.${chipClass}-remove`);
+            if (removeButtons.length > 0) removeButtons[Math.min(focusedIndex, removeButtons.length - 1)].focus();
+        }
+    }
+
+    /**
+     * Finds the label of the control for a filter or exclusion value, preferring controls with the
+     * given action, then the other one (a "Wii U" exclude link labels the wii_u filter too), and
+     * falling back to the capitalized value.
+     * This is an internal helper method.
+     * @param {string} action 'filter' or 'exclude'.
+     * @param {string} attribute The attribute.
+     * @param {string} value The filter value.
+     * @returns {string}
+     */
+    _getValueLabel(action, attribute, value) {
+        const lowerValue = String(value).toLowerCase();
+        const otherAction = action === 'filter' ? 'exclude' : 'filter';
+        const controls = this.filterControlElements.filter(control => control.dataset.filterAttribute === attribute);
+        for (const control of [
+            ...controls.filter(candidate => candidate.dataset.action === action),
+            ...controls.filter(candidate => candidate.dataset.action === otherAction),
+        ]) {
+            if (control.tagName.toLowerCase() === 'select') {
+                const option = Array.from(control.options).find(candidate => candidate.value.toLowerCase() === lowerValue);
+                if (option) return option.dataset.facetLabel || option.textContent.trim();
+            } else if (String(control.dataset.filterValue).toLowerCase() === lowerValue) {
+                return this._getControlText(control);
+            }
+        }
+        return this._formatPanelLabel(value);
+    }
+
+    /**
+     * Returns a control's visible text (its label's, for inputs) without any facet count.
+     * This is an internal helper method.
+     * @param {Element} control The control element.
+     * @returns {string}
+     */
+    _getControlText(control) {
+        const labelElement = control.tagName.toLowerCase() === 'input' ? (control.closest('label') || control) : control;
+        return Array.from(labelElement.childNodes)
+            .filter(node => !(node.classList && node.classList.contains(this.options.facetCountClass)))
+            .map(node => node.textContent)
+            .join('')
+            .trim();
+    }
+
+    /**
+     * Announces the result of a filter, sort, reset or page change through the live region.
+     * This is an internal helper method.
+     * @param {string} hookName The hook that was emitted.
+     * @param {object} detail The hook detail.
+     */
+    _announceChange(hookName, detail) {
+        if (!this.liveRegion) return;
+        const countMessage = this.options.announcementFormat(detail);
+        if (hookName === 'afterFilter' || hookName === 'afterReset' || hookName === 'afterPageChange') {
+            this.announce(countMessage);
+        } else if (hookName === 'afterReverse') {
+            this.announce(`${this.options.reverseAnnouncement}. ${countMessage}`);
+        } else if (hookName === 'afterSort' && this.currentSortAttribute) {
+            const sortControl = this.filterControlElements.find(control =>
+                control.dataset.action === 'sort' && control.tagName.toLowerCase() !== 'select' &&
+                control.dataset.filterAttribute === this.currentSortAttribute);
+            const label = (sortControl && this._getSortControlText(sortControl)) || this.currentSortAttribute;
+            this.announce(`${this.options.sortAnnouncementFormat({ label, direction: this.currentSortDirection })}. ${countMessage}`);
+        }
+    }
+
+    /**
+     * Reads a message out to screen reader users through the live region.
+     * @param {string} message The message to announce.
+     */
+    announce(message) {
+        if (!this.liveRegion || !message) return;
+        // Clearing first (and writing on a short delay) makes screen readers repeat a message
+        // identical to the previous one, e.g. the same count after two different filters.
+        this.liveRegion.textContent = '';
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            this.liveRegion.textContent = message;
+        }, 100);
+    }
+
+    /**
+     * Syncs `aria-pressed` on toggle controls (and `aria-sort` on sort controls in a header cell)
+     * with the current state.
+     * This is an internal helper method.
+     */
+    _updateAriaStates() {
+        this.filterControlElements.forEach(control => {
+            if (!this._isToggleControl(control)) return;
+            const action = control.dataset.action;
+            const attribute = control.dataset.filterAttribute;
+            const value = control.dataset.filterValue;
+            let isPressed;
+            if (action === 'sort') {
+                isPressed = this.currentSortAttribute === attribute;
+                // aria-sort is only valid on column and row headers, so other sort controls
+                // convey their direction through aria-pressed and the sort announcement.
+                const headerCell = control.closest('th, [role="columnheader"], [role="rowheader"]');
+                if (headerCell) {
+                    headerCell.setAttribute('aria-sort', isPressed
+                        ? (this.currentSortDirection === 'desc' ? 'descending' : 'ascending')
+                        : 'none');
+                }
+            } else if (action === 'group') {
+                isPressed = this.groupAttribute === attribute;
+            } else if (action === 'exclude') {
+                isPressed = this.isExclusionActive(attribute, value);
+            } else if (action === 'range') {
+                isPressed = this._isRangeBoundActive(attribute, control.dataset.rangeBound === 'max' ? 'max' : 'min', value);
+            } else {
+                isPressed = this.isFilterActive(attribute, value);
+            }
+            control.setAttribute('aria-pressed', String(isPressed));
+        });
+    }
+
+    /**
+     * Returns the URL parameters holding the list state, from the query string or the hash.
+     * This is an internal helper method.
+     * @returns {URLSearchParams}
+     */
+    _getUrlParams() {
+        const source = this.options.urlMode === 'hash' ? window.location.hash : window.location.search;
+        return new URLSearchParams(source.replace(/^[?#]/, ''));
+    }
+
+    /**
+     * Lists the URL parameter names this instance owns: every filterable attribute
+     * found on items or controls, plus the sort and search parameters.
+     * This is an internal helper method.
+     * @returns {Set<string>}
+     */
+    _getUrlKeys() {
+        const { urlSortParam, urlSearchParam, urlPageParam, urlGroupParam } = this.options;
+        const keys = new Set([urlSortParam, urlSearchParam, urlPageParam, urlGroupParam]);
+        this.itemPropertiesMap.forEach(properties => Object.keys(properties).forEach(key => keys.add(key)));
+        this.filterControlElements.forEach(el => {
+            if (el.dataset.filterAttribute) keys.add(el.dataset.filterAttribute);
+        });
+        Array.from(keys).forEach(key => {
+            if (![urlSortParam, urlSearchParam, urlPageParam, urlGroupParam].includes(key)) {
+                keys.add(`${this.options.urlExcludePrefix}${key}`);
+            }
+        });
+        return keys;
+    }
+
+    /**
+     * Writes the current filter, range, search, sort and group state into the URL,
+     * e.g. `?brand=nintendo&-console=wii&damage=acid,dog&year=2004..2013&sort=year:desc&group=brand`.
+     * Parameters the list does not own are left untouched.
+     * This is an internal helper method.
+     * @param {boolean} [replace=false] Replace the current history entry instead of pushing a new one.
+     */
+    _syncUrl(replace = false) {
+        if (!this.options.syncUrl || this.isRestoringState) return;
+
+        const params = this._getUrlParams();
+        this._getUrlKeys().forEach(key => params.delete(key));
+
+        this.activeFilters.forEach((values, attribute) => {
+            params.set(attribute, Array.from(values).join(','));
+        });
+        this.excludedFilters.forEach((values, attribute) => {
+            params.set(`${this.options.urlExcludePrefix}${attribute}`, Array.from(values).join(','));
+        });
+        this.activeRanges.forEach((range, attribute) => {
+            params.set(attribute, `${range.min === null ? '' : this.formatValue(range.min)}..${range.max === null ? '' : this.formatValue(range.max)}`);
+        });
+        if (this.searchTerms.length > 0) {
+            params.set(this.options.urlSearchParam, this.searchTerms.join(' '));
+        }
+        if (this.sortKeys.length > 0) {
+            const sortValue = this.sortKeys
+                .map(key => [key.attribute, key.direction].concat(typeof key.comparator === 'string' ? [key.comparator] : []).join(':'))
+                .join(',');
+            params.set(this.options.urlSortParam, sortValue);
+        }
+        if (this.currentPage > 1) {
+            params.set(this.options.urlPageParam, this.currentPage);
+        }
+        if (this.groupAttribute) {
+            params.set(this.options.urlGroupParam, this.groupAttribute);
+        }
+
+        const serialized = params.toString().replace(/%2C/gi, ',').replace(/%3A/gi, ':');
+        const url = new URL(window.location.href);
+        if (this.options.urlMode === 'hash') {
+            url.hash = serialized;
+        } else {
+            url.search = serialized;
+        }
+        if (url.href === window.location.href) return;
+
+        if (replace) {
+            window.history.replaceState(null, '', url.href);
+        } else {
+            window.history.pushState(null, '', url.href);
+        }
+    }
+
+    /**
+     * Rebuilds the filter, range, search and sort state from the URL and applies it
+     * without animation. Called on construction and on back/forward navigation.
+     */
+    restoreStateFromUrl() {
+        const params = this._getUrlParams();
+        const { urlSortParam, urlSearchParam, urlPageParam, urlGroupParam } = this.options;
+
+        const state = {
+            filters: {},
+            exclude: {},
+            ranges: {},
+            search: params.get(urlSearchParam) || '',
+            page: parseInt(params.get(urlPageParam), 10) || 1,
+            group: params.get(urlGroupParam) || null,
+            sort: {},
+        };
+        const { urlExcludePrefix } = this.options;
+
+        this._getUrlKeys().forEach(key => {
+            if ([urlSortParam, urlSearchParam, urlPageParam, urlGroupParam].includes(key) || !params.has(key)) return;
+            const rawValue = params.get(key);
+            if (urlExcludePrefix && key.startsWith(urlExcludePrefix)) {
+                state.exclude[key.slice(urlExcludePrefix.length)] = rawValue.split(',').filter(Boolean);
+            } else if (rawValue.includes('..')) {
+                const [min, max] = rawValue.split('..').map(bound => this.parseRangeBound(bound));
+                state.ranges[key] = { min, max };
+            } else {
+                state.filters[key] = rawValue.split(',').filter(Boolean);
+            }
+        });
+
+        state.sort = { keys: this.parseSortKeys(params.get(urlSortParam)) };
+
+        this.isRestoringState = true;
+        this.setState(state);
+        this.isRestoringState = false;
+        // Values that were dropped or normalized (unknown filters, clamped pages, ...) are written
+        // back, replacing the history entry so the address bar matches what is shown.
+        this._syncUrl(true);
+    }
+
+    /**
+     * Formats a range bound for a range control's value: dates as `YYYY-MM-DD` for date
+     * inputs and as a year for number/range inputs.
+     * This is an internal helper method.
+     * @param {Element} control The range input.
+     * @param {number | Date} bound The range bound.
+     * @returns {string}
+     */
+    _formatRangeInputValue(control, bound) {
+        if (!(bound instanceof Date)) return String(bound);
+        return control.type === 'date' ? bound.toISOString().slice(0, 10) : String(bound.getUTCFullYear());
+    }
+
+    /**
+     * Updates checkbox, radio, select, search and range controls and the sort indicators
+     * to reflect the current state, e.g. after it was restored from the URL.
+     * This is an internal helper method.
+     */
+    _syncControlsToState() {
+        let activeSortControl = null;
+
+        this.filterControlElements.forEach(control => {
+            const action = control.dataset.action;
+            const attribute = control.dataset.filterAttribute;
+            const tagName = control.tagName.toLowerCase();
+
+            if (action === 'search') {
+                control.value = this.searchTerms.join(' ');
+            } else if (action === 'range' && tagName === 'input') {
+                const range = this.activeRanges.get(attribute);
+                const bound = control.dataset.rangeBound === 'max' ? 'max' : 'min';
+                control.value = range && range[bound] !== null ? this._formatRangeInputValue(control, range[bound]) : control.defaultValue;
+            } else if (action === 'sort' && tagName === 'select') {
+                control.value = this.currentSortAttribute || '';
+                if (control.selectedIndex === -1) control.selectedIndex = 0;
+            } else if (action === 'sort') {
+                if (control.dataset.sortText) control.innerHTML = control.dataset.sortText;
+                if (attribute && attribute === this.currentSortAttribute) activeSortControl = control;
+            }
+        });
+
+        if (activeSortControl) {
+            this.updateActiveState(activeSortControl);
+        } else {
+            this.updateControlStates();
+        }
+    }
+
+    /**
+     * Updates the visual state (e.g., active class, checked inputs) of all control elements based on the current filter/sort state.
+     */
+    updateControlStates() {
+        this.filterControlElements.forEach(el => {
+            const action = el.dataset.action;
+            const attr = el.dataset.filterAttribute;
+            const val = el.dataset.filterValue;
+            const tagName = el.tagName.toLowerCase();
+
+            if (action === 'filter') {
+                if (tagName === 'input' && (el.type === 'checkbox' || el.type === 'radio')) {
+                    el.checked = el.type === 'radio' && val === ''
+                        ? !(this.activeFilters.get(attr) || new Set()).size
+                        : this.isFilterActive(attr, val);
+                } else if (tagName === 'select') {
+                    const activeValue = [...(this.activeFilters.get(attr) || [])][0];
+                    const option = activeValue === undefined ? null
+                        : Array.from(el.options).find(candidate => candidate.value.toLowerCase() === String(activeValue).toLowerCase());
+                    el.selectedIndex = option ? option.index : 0;
+                } else if (attr && val != null) {
+                    const isActive = this.isFilterActive(attr, val);
+                    el.classList.toggle(this.options.activeFilterClass, isActive);
+                }
+            } else if (action === 'exclude') {
+                if (tagName === 'input' && el.type === 'checkbox') {
+                    el.checked = this.isExclusionActive(attr, val);
+                } else if (tagName !== 'input' && attr && val != null) {
+                    el.classList.toggle(this.options.activeFilterClass, this.isExclusionActive(attr, val));
+                }
+            } else if (action === 'range') {
+                if (el.tagName.toLowerCase() !== 'input' && attr && val != null) {
+                    const bound = el.dataset.rangeBound === 'max' ? 'max' : 'min';
+                    el.classList.toggle(this.options.activeFilterClass, this._isRangeBoundActive(attr, bound, val));
+                }
+            } else if (action === 'group') {
+                if (tagName === 'select') {
+                    el.value = this.groupAttribute || '';
+                    if (el.selectedIndex === -1) el.selectedIndex = 0;
+                } else {
+                    el.classList.toggle(this.options.activeFilterClass, (attr || null) === this.groupAttribute);
                 }
             } else if (action === 'reset') {
-                el.classList.toggle(this.options.activeFilterClass, this.activeFilters.size === 0 && !this.currentSortAttribute);
+                el.classList.toggle(this.options.activeFilterClass, !this.hasActiveFilters() && !this.currentSortAttribute);
             } else if (action === 'sort' && el.tagName.toLowerCase() !== 'select') {
                  el.classList.toggle(this.options.activeFilterClass, this.currentSortAttribute === attr);
             } else if (action === 'sort' && el.tagName.toLowerCase() === 'select') {
@@ -574,6 +3447,7 @@ class FilterableList {
                  }
             }
         });
+        this._updateAriaStates();
     }
 
     /**
@@ -622,33 +3496,27 @@ class FilterableList {
             this.filterControlElements.forEach(el => {
                 if (el.dataset.action === 'sort' && el.tagName.toLowerCase() !== 'select') {
                     el.classList.remove(this.options.activeFilterClass);
-                    const baseText = el.dataset.sortText || el.textContent.replace(/\s*([↑↓]|\(A-Z\)|\(Z-A\))\s*$/,'').trim();
-                    if (el.dataset.sortText) {
-                        el.innerHTML = el.dataset.sortText;
-                    } else {
-                         el.dataset.sortText = baseText;
-                         el.innerHTML = baseText;
-                    }
+                    el.innerHTML = this._getSortControlText(el);
                 } else if (el.dataset.action === 'sort' && el.tagName.toLowerCase() === 'select') {
                      // Optional: Reset select if a link sort is clicked?
                      // el.selectedIndex = 0;
                 }
             });
 
-            const baseText = element.dataset.sortText || element.textContent.replace(/\s*([↑↓]|\(A-Z\)|\(Z-A\))\s*$/,'').trim();
-            if (!element.dataset.sortText) {
-                element.dataset.sortText = baseText;
-            }
-
-            let finalHTML = baseText;
-
-            if (this.currentSortAttribute === clickedAttribute && clickedAttribute === 'name') {
-                 const directionIndicatorText = this.currentSortDirection === 'asc' ? '(A-Z)' : '(Z-A)';
-                 finalHTML = `${baseText} <span class="sort-direction">${directionIndicatorText}</span>`;
-            }
-
             element.classList.add(this.options.activeFilterClass);
-            element.innerHTML = finalHTML;
+            element.innerHTML = this._getSortControlText(element);
+
+            const directionLabel = this.currentSortAttribute === clickedAttribute
+                ? this.getSortDirectionLabel(clickedAttribute, this.currentSortDirection, element)
+                : '';
+            if (directionLabel) {
+                // Screen readers get the direction from aria-pressed and the sort announcement.
+                const indicator = document.createElement('span');
+                indicator.className = 'sort-direction';
+                indicator.setAttribute('aria-hidden', 'true');
+                indicator.textContent = directionLabel;
+                element.append(' ', indicator);
+            }
             this.updateControlStates();
 
         } else if (action === 'reverse') {
@@ -660,10 +3528,314 @@ class FilterableList {
     }
 }
 
+/**
+ * Virtualized mode for large collections. Filters and sorts an in-memory array of records
+ * (`options.data`) and only renders the records in view, using the same controls, state,
+ * URL sync and hooks as FilterableList. Records are plain objects; their `properties`
+ * object (or the record itself) supplies the filterable values. Rows have a fixed height
+ * (`itemHeight`), and `virtualColumns` records are laid out per row.
+ * Transitions, pagination and the mutation observer do not apply in this mode.
+ */
+class VirtualFilterableList extends FilterableList {
+    /**
+     * Initializes a virtualized list.
+     * @param {string | Element} containerSelectorOrElement - CSS selector or DOM element for the container.
+     * @param {object} options - Configuration options, including `data` (the records) and
+     *     `renderItem(record, instance)`, which returns the element for a record.
+     */
+    constructor(containerSelectorOrElement, options = {}) {
+        super(containerSelectorOrElement, options);
+        if (!this.listElement) return;
+
+        this.listElement.classList.add(this.options.virtualListClass);
+        if (this.options.viewportHeight) this.listElement.style.height = `${this.options.viewportHeight}px`;
+
+        let frameRequest = null;
+        const scheduleRender = () => {
+            if (frameRequest !== null) return;
+            frameRequest = window.requestAnimationFrame(() => {
+                frameRequest = null;
+                this.render();
+            });
+        };
+        this.listElement.addEventListener('scroll', scheduleRender, { passive: true });
+        window.addEventListener('resize', scheduleRender);
+        // The base constructor applies the initial state before the setup above has run, so
+        // render() waits for this flag and the first render happens here, once.
+        this.isRenderReady = true;
+        this.render();
+    }
+
+    /**
+     * Renders the records in (and just around) the viewport, with spacers standing in for the rest.
+     */
+    render() {
+        if (!this.listElement || !this.isRenderReady) return;
+        const { itemHeight, overscan } = this.options;
+        const columns = Math.max(1, parseInt(this.options.virtualColumns, 10) || 1);
+        const records = this.visibleRecords || this.items;
+
+        const rowCount = Math.ceil(records.length / columns);
+        const viewportHeight = this.listElement.clientHeight || window.innerHeight;
+        const scrollTop = this.listElement.scrollTop;
+        const firstRow = Math.min(rowCount, Math.max(0, Math.floor(scrollTop / itemHeight) - overscan));
+        const lastRow = Math.min(rowCount, Math.ceil((scrollTop + viewportHeight) / itemHeight) + overscan);
+
+        this.renderedRecords = records.slice(firstRow * columns, lastRow * columns);
+        const elements = this.renderedRecords.map(record => this.getItemElement(record));
+        const topSpacer = this._getSpacer('top');
+        const bottomSpacer = this._getSpacer('bottom');
+        topSpacer.style.height = `${firstRow * itemHeight}px`;
+        bottomSpacer.style.height = `${(rowCount - lastRow) * itemHeight}px`;
+
+        const children = [topSpacer, ...elements, bottomSpacer];
+        if (this.noMatchesMessageElement) children.push(this.noMatchesMessageElement);
+        this._preserveFocus(() => this.listElement.replaceChildren(...children));
+
+        super._updateSearchHighlights(elements);
+        this._updateNoMatchesMessage(records.length);
+    }
+
+    /**
+     * Returns the element for a record, creating it with `renderItem` the first time.
+     * @param {object} record The record.
+     * @returns {Element}
+     */
+    getItemElement(record) {
+        if (!this.itemElements) this.itemElements = new WeakMap();
+        let element = this.itemElements.get(record);
+        if (!element) {
+            element = typeof this.options.renderItem === 'function'
+                ? this.options.renderItem(record, this)
+                : this._renderDefaultItem(record);
+            element.classList.add('item');
+            this.itemElements.set(record, element);
+        }
+        return element;
+    }
+
+    /**
+     * Returns the filtered records in their sorted order.
+     * @returns {Array<object>}
+     */
+    getVisibleItems() {
+        return (this.visibleRecords || this.items).slice();
+    }
+
+    /**
+     * Returns the records currently rendered in the viewport.
+     * @returns {Array<object>}
+     */
+    getPageItems() {
+        return (this.renderedRecords || []).slice();
+    }
+
+    /**
+     * Pagination does not apply in virtualized mode; the whole result set is one page.
+     * @returns {number}
+     */
+    getPageCount() {
+        return 1;
+    }
+
+    /**
+     * Every filtered record can be scrolled to, so all of them count as shown.
+     * @returns {number}
+     */
+    getShownCount() {
+        return this.getVisibleItems().length;
+    }
+
+    /**
+     * Adds records to the data and re-applies the active filters and sort.
+     * @param {object | Array<object>} records The record(s) to add.
+     */
+    addItems(records) {
+        const newRecords = [].concat(records || [])
+            .filter(record => record && typeof record === 'object' && !this.itemPropertiesMap.has(record));
+        if (newRecords.length === 0) return;
+
+        newRecords.forEach(record => this._indexItem(record));
+        this.items.push(...newRecords);
+        this.originalOrder.push(...newRecords);
+
+        console.log(`FilterableList: Added ${newRecords.length} record(s).`);
+        this._reapplyState();
+    }
+
+    /**
+     * Removes records from the data.
+     * @param {object | Array<object>} records The record(s) to remove.
+     */
+    removeItems(records) {
+        const removedRecords = new Set([].concat(records || []).filter(record => this.itemPropertiesMap.has(record)));
+        if (removedRecords.size === 0) return;
+
+        removedRecords.forEach(record => {
+            this._removeFromValueIndex(record);
+            this.itemPropertiesMap.delete(record);
+            if (this.itemElements) this.itemElements.delete(record);
+        });
+        this.items = this.items.filter(record => !removedRecords.has(record));
+        this.originalOrder = this.originalOrder.filter(record => !removedRecords.has(record));
+
+        console.log(`FilterableList: Removed ${removedRecords.size} record(s).`);
+        this._reapplyState();
+    }
+
+    /**
+     * Re-reads the properties of every record, e.g. after records were edited in place.
+     * Rendered elements are rebuilt on the next render.
+     */
+    refreshItems() {
+        this.itemElements = new WeakMap();
+        this.items.forEach(record => this._indexItem(record));
+        this._reapplyState();
+    }
+
+    /**
+     * Not supported in virtualized mode: use addItems(), removeItems() or refreshItems() instead.
+     */
+    startObserving() {
+        console.warn('FilterableList: observeMutations is not supported in virtualized mode.');
+    }
+
+    /**
+     * Runs a DOM change without FLIP animation; rendering happens as part of the change.
+     * @param {Function} domChangeFn - Function that updates the list state.
+     */
+    animateWithFlip(domChangeFn) {
+        domChangeFn();
+    }
+
+    /**
+     * Builds the search text for a record from its properties and its other string fields.
+     * @param {object} record The record.
+     * @returns {string} The searchable text.
+     */
+    getItemSearchText(record) {
+        const properties = this.itemPropertiesMap.get(record) || {};
+        return Object.values({ ...record, ...properties })
+            .flatMap(value => (Array.isArray(value) ? value : [value]))
+            .filter(value => value instanceof Date || (value !== null && value !== undefined && typeof value !== 'object'))
+            .map(value => this.formatValue(value))
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .toLowerCase();
+    }
+
+    /**
+     * Reads the data records from `options.data`.
+     * This is an internal helper method.
+     * @returns {Array<object>}
+     */
+    _collectItems() {
+        if (!Array.isArray(this.options.data)) {
+            console.error('FilterableList: Virtualized mode needs a `data` array of records.');
+            return [];
+        }
+        return this.options.data.slice();
+    }
+
+    /**
+     * Reads a record's properties: its `properties` object if it has one, else the record itself.
+     * String values are coerced like data attribute values; nested objects are skipped.
+     * This is an internal helper method.
+     * @param {object} record The record.
+     * @returns {object} The properties.
+     */
+    _readItemProperties(record) {
+        const source = record.properties && typeof record.properties === 'object' ? record.properties : record;
+        const properties = {};
+        Object.entries(source).forEach(([key, value]) => {
+            [].concat(value).forEach(entry => {
+                if (entry === null || entry === undefined || entry === '') return;
+                if (typeof entry === 'string') {
+                    this._addPropertyValue(properties, key, this.coerceValue(entry));
+                } else if (typeof entry !== 'object' || entry instanceof Date) {
+                    this._addPropertyValue(properties, key, entry);
+                }
+            });
+        });
+        return properties;
+    }
+
+    /**
+     * Filters the records into `visibleRecords` and renders them.
+     * This is an internal helper method.
+     * @returns {number} The number of matching records.
+     */
+    _applyFilterClasses() {
+        const matchingRecords = this._getMatchingItems();
+        this.visibleRecords = this.items.filter(record => matchingRecords.has(record));
+        this.render();
+        return this.visibleRecords.length;
+    }
+
+    /**
+     * The grouped view needs the items in the DOM, so it is not available in virtualized mode.
+     */
+    groupBy() {
+        console.warn('FilterableList: Grouping is not supported in virtualized mode.');
+    }
+
+    /**
+     * Rendering is driven by the filtered records; nothing to reorder in the DOM.
+     * This is an internal helper method.
+     */
+    _renderItemOrder() {}
+
+    /**
+     * Re-renders the viewport; pagination does not apply in virtualized mode.
+     * This is an internal helper method.
+     */
+    _applyPagination() {
+        this.render();
+    }
+
+    /**
+     * Re-renders the viewport, which re-applies the search highlights to the rendered elements.
+     * This is an internal helper method.
+     */
+    _updateSearchHighlights() {
+        this.render();
+    }
+
+    /**
+     * Builds a plain element for a record when no `renderItem` option is given.
+     * This is an internal helper method.
+     * @param {object} record The record.
+     * @returns {Element}
+     */
+    _renderDefaultItem(record) {
+        const element = document.createElement('li');
+        element.textContent = record.title ?? record.name ?? record.id ?? '';
+        return element;
+    }
+
+    /**
+     * Returns the top or bottom spacer that stands in for the rows outside the viewport.
+     * This is an internal helper method.
+     * @param {string} position 'top' or 'bottom'.
+     * @returns {Element}
+     */
+    _getSpacer(position) {
+        if (!this.spacers) this.spacers = {};
+        if (!this.spacers[position]) {
+            const spacer = document.createElement('li');
+            spacer.className = 'virtual-spacer';
+            spacer.setAttribute('aria-hidden', 'true');
+            this.spacers[position] = spacer;
+        }
+        return this.spacers[position];
+    }
+}
+
 // --- Initialize ---
 document.addEventListener('DOMContentLoaded', () => {
     // Find all elements intended as filterable containers and initialize
     document.querySelectorAll('.filterable-container').forEach(containerElement => {
+        if (FilterableList.instances.has(containerElement)) return;
         new FilterableList(containerElement); // Pass the element directly
     });
 